@@ -0,0 +1,257 @@
+/**
+ * Compatibility helpers which let the fudge workflow run on the legacy data model of Foundry 0.7 and dnd5e 1.x
+ * as well as on the current one. Foundry v10 moved document data from doc.data.data to doc.system, Foundry 0.8
+ * made Roll#evaluate asynchronous, and dnd5e 1.6 replaced the plain d20 roll helpers with the D20Roll class.
+ */
+
+/**
+ * The generation of the running Foundry core, such as 7 for 0.7.9 or 10 for v10
+ * @return {number}
+ */
+export function coreGeneration() {
+    if (game.release) return game.release.generation;
+    const [major, minor] = (game.data.version || "0.7").split(".").map(Number);
+    return (major === 0) ? minor : major;
+};
+
+/**
+ * Get the system data of an actor or item
+ * @param {Actor|Item} doc          The document
+ * @return {object}
+ */
+export function systemData(doc) {
+    return doc.system ?? doc.data.data;
+};
+
+/**
+ * Get the top-level data of a document, which holds fields such as type, flags, content and speaker
+ * @param {Document} doc            The document
+ * @return {object}
+ */
+export function documentData(doc) {
+    return (coreGeneration() >= 10) ? doc : doc.data;
+};
+
+/**
+ * Turn a path within system data into the update key for the running data model
+ * @param {string} path             The path within system data, such as "attributes.hp.value"
+ * @return {string}
+ */
+export function dataPath(path) {
+    return `${(coreGeneration() >= 10) ? "system" : "data"}.${path}`;
+};
+
+/**
+ * Evaluate a Roll, synchronously on cores which only support that and asynchronously on those which prefer it
+ * @param {Roll} roll               The Roll to evaluate
+ * @param {object} options          Options passed on to Roll#evaluate, such as maximize
+ * @return {Promise<Roll>}
+ */
+export async function evaluateRoll(roll, options = {}) {
+    const generation = coreGeneration();
+    if (generation < 8) return roll.evaluate(options);
+    return roll.evaluate((generation < 12) ? { ...options, async: true } : options);
+};
+
+/**
+ * Whether a Roll has been evaluated
+ * @param {Roll} roll               The Roll
+ * @return {boolean}
+ */
+export function isEvaluated(roll) {
+    return !!(roll._evaluated ?? roll._rolled);
+};
+
+/**
+ * Recompute the total of an evaluated Roll after its dice results were rewritten
+ * @param {Roll} roll               An evaluated Roll instance
+ * @return {Roll}                   The same Roll instance
+ */
+export function refreshTotal(roll) {
+    if (roll._evaluateTotal) {
+        roll._total = roll._evaluateTotal();
+        return roll;
+    }
+    roll.results = roll.terms.map(t => t.evaluate ? t.total : t);
+    roll._total = roll._safeEval(roll.results.join(" "));
+    return roll;
+};
+
+/**
+ * Get the namespace which holds the dice term classes, which Foundry v12 moved out of the global scope
+ * @return {object}
+ */
+function diceClasses() {
+    return globalThis.foundry?.dice?.terms ?? globalThis;
+};
+
+/**
+ * Whether a roll term is a plain Die, such as 2d20kh
+ * @param {*} term                  The roll term
+ * @return {boolean}
+ */
+export function isDie(term) {
+    return term instanceof diceClasses().Die;
+};
+
+/**
+ * Whether a roll term rolls dice of any kind
+ * @param {*} term                  The roll term
+ * @return {boolean}
+ */
+export function isDiceTerm(term) {
+    return term instanceof diceClasses().DiceTerm;
+};
+
+/**
+ * Whether a roll term is a pool of rolls, such as {1d20,10}kh, called DicePool before Foundry 0.8
+ * @param {*} term                  The roll term
+ * @return {boolean}
+ */
+export function isPool(term) {
+    const Pool = diceClasses().PoolTerm ?? diceClasses().DicePool;
+    return !!Pool && (term instanceof Pool);
+};
+
+/**
+ * Get the operator a roll term stands for, whether a plain string or an OperatorTerm
+ * @param {*} term                  The roll term
+ * @return {string|null}            The operator, such as "+" or "*", or null for any other term
+ */
+export function termOperator(term) {
+    if (typeof term === "string") return term;
+    const OperatorTerm = diceClasses().OperatorTerm;
+    return (OperatorTerm && (term instanceof OperatorTerm)) ? term.operator : null;
+};
+
+/**
+ * Get the Roll a chat message carries
+ * @param {ChatMessage} message     The chat message
+ * @return {Roll|null}
+ */
+export function messageRoll(message) {
+    return message.rolls?.[0] ?? message.roll ?? null;
+};
+
+/**
+ * Build the update which replaces the Roll a chat message carries
+ * @param {Roll} roll               The Roll to show instead
+ * @return {object}
+ */
+export function messageRollUpdate(roll) {
+    const rollData = JSON.stringify(roll);
+    return (coreGeneration() >= 10) ? { content: roll.total, rolls: [rollData] } : { content: roll.total, roll: rollData };
+};
+
+/**
+ * Get the chat message a preCreateChatMessage hook is about to create, as a document whose flags and roll can be read
+ * Foundry 0.7 passes the hook the plain creation data rather than the pending document.
+ * @param {ChatMessage|object} pending  The first argument of the hook
+ * @return {ChatMessage}
+ */
+export function pendingMessage(pending) {
+    return (typeof pending.getFlag === "function") ? pending : new ChatMessage(pending);
+};
+
+/**
+ * Change a chat message from within a preCreateChatMessage hook, before it is created
+ * @param {ChatMessage|object} pending  The first argument of the hook
+ * @param {object} changes          The changes, such as those of messageRollUpdate
+ */
+export function updatePendingMessage(pending, changes) {
+    const generation = coreGeneration();
+    if (generation >= 10) pending.updateSource(changes);
+    else if (generation >= 8) pending.data.update(changes);
+    else mergeObject(pending, changes);
+};
+
+/**
+ * Get the journal entries of the world
+ * @return {JournalEntry[]}
+ */
+export function journalEntries() {
+    return game.journal.contents ?? game.journal.entities;
+};
+
+/**
+ * Build the creation data which hides a new document from everyone but GMs
+ * @return {object}
+ */
+export function hiddenPermission() {
+    if (coreGeneration() >= 10) return { ownership: { default: CONST.DOCUMENT_OWNERSHIP_LEVELS.NONE } };
+    const levels = CONST.DOCUMENT_PERMISSION_LEVELS ?? CONST.ENTITY_PERMISSIONS;
+    return { permission: { default: levels.NONE } };
+};
+
+/**
+ * Get the roll modes as plain labels, which later cores describe with an icon as well
+ * @return {Object<string, string>}
+ */
+export function rollModeLabels() {
+    return Object.fromEntries(Object.entries(CONFIG.Dice.rollModes).map(([mode, label]) => [mode, label.label ?? label]));
+};
+
+/**
+ * Get the dice helpers of the dnd5e system, on versions whose rolls are built by the D20Roll class
+ * Older versions have no helpers which can hand back a roll before it is posted, so the copied ones are used instead.
+ * @return {{d20Roll: Function, damageRoll: Function}|null}
+ */
+export function systemDice() {
+    if (!CONFIG.Dice.D20Roll) return null;
+    return (globalThis.dnd5e ?? game.dnd5e)?.dice ?? null;
+};
+
+/**
+ * Get the localized label of a dnd5e config entry, which later versions describe with an object
+ * @param {string|object} entry     An entry of CONFIG.DND5E.skills or CONFIG.DND5E.abilities
+ * @return {string}
+ */
+export function configLabel(entry) {
+    return game.i18n.localize(entry?.label ?? entry ?? "");
+};
+
+/**
+ * Get the namespace which holds Foundry's object and id helpers, which v12 no longer offers as globals
+ * @return {object}
+ */
+function utils() {
+    return globalThis.foundry?.utils ?? globalThis;
+};
+
+/**
+ * Merge one object into another, as Foundry's mergeObject
+ * @param {object} original         The object merged into
+ * @param {object} other            The object merged in
+ * @param {object} options          The options of mergeObject, such as inplace
+ * @return {object}
+ */
+export function mergeObject(original, other, options) {
+    return utils().mergeObject(original, other, options);
+};
+
+/**
+ * Read a value from an object by its dotted path, as Foundry's getProperty
+ * @param {object} object           The object to read
+ * @param {string} key              The dotted path, such as "flags.core.statusId"
+ * @return {*}
+ */
+export function getProperty(object, key) {
+    return utils().getProperty(object, key);
+};
+
+/**
+ * Make a deep copy of plain data, as Foundry's duplicate
+ * @param {object} original         The data to copy
+ * @return {object}
+ */
+export function duplicate(original) {
+    return utils().duplicate(original);
+};
+
+/**
+ * Make a random document id, as Foundry's randomID
+ * @return {string}
+ */
+export function randomID() {
+    return utils().randomID();
+};
@@ -0,0 +1,203 @@
+/**
+ * The roll formulas of dnd5e checks, saves and attacks, built from plain actor and item data. These mirror the roll
+ * helpers of dnd5e 1.x, which the fudge workflow copies on versions without the D20Roll class, and choose the same
+ * feats and bonuses: jack of all trades, remarkable athlete, reliable talent, elven accuracy and halfling luck.
+ * They read CONFIG.DND5E but nothing else of the world, so they can be checked in plain Node.
+ */
+
+/**
+ * Build the leading d20 term of a d20 roll
+ * @param {number} adv              1 for advantage, -1 for disadvantage, 0 for a normal roll
+ * @param {boolean} elvenAccuracy   Roll a third die with advantage
+ * @param {boolean} halflingLucky   Reroll natural ones
+ * @param {boolean} reliableTalent  Treat a d20 below 10 as a 10
+ * @return {string}                 The formula of the d20 term
+ */
+export function d20Formula(adv, { elvenAccuracy = false, halflingLucky = false, reliableTalent = false } = {}) {
+    let nd = 1;
+    let mods = halflingLucky ? "r=1" : "";
+    if (adv === 1) {
+        nd = elvenAccuracy ? 3 : 2;
+        mods += "kh";
+    }
+    else if (adv === -1) {
+        nd = 2;
+        mods += "kl";
+    }
+    const formula = `${nd}d20${mods}`;
+    return reliableTalent ? `{${formula},10}kh` : formula;
+};
+
+/**
+ * Build the parts of a skill check, which follow the d20 term
+ * @param {object} actorData        The system data of the actor making the check
+ * @param {string} skillId          The skill id (e.g. "ins")
+ * @param {object} flags            The dnd5e flags of the actor
+ * @return {{parts: string[], data: object, halflingLucky: boolean, reliableTalent: boolean}}
+ */
+export function skillCheckParts(actorData, skillId, flags = {}) {
+    const skl = actorData.skills[skillId];
+    const bonuses = actorData.bonuses?.abilities || {};
+    const parts = ["@mod"];
+    const data = { mod: skl.mod + _flatProficiency(skl.prof) };
+
+    // Ability test bonus
+    if (bonuses.check) {
+        data.checkBonus = bonuses.check;
+        parts.push("@checkBonus");
+    }
+
+    // Skill check bonus
+    if (bonuses.skill) {
+        data.skillBonus = bonuses.skill;
+        parts.push("@skillBonus");
+    }
+
+    // Reliable Talent applies to any skill check we have full or better proficiency in
+    const reliableTalent = !!((skl.value >= 1) && flags.reliableTalent);
+    return { parts, data, halflingLucky: !!flags.halflingLucky, reliableTalent };
+};
+
+/**
+ * Build the parts of an ability test, which follow the d20 term
+ * Remarkable Athlete adds half proficiency, rounded up, to the abilities dnd5e lists for it, while Jack of All Trades
+ * adds half proficiency, rounded down, to any other ability test.
+ * @param {object} actorData        The system data of the actor making the test
+ * @param {string} abilityId        The ability id (e.g. "str")
+ * @param {object} flags            The dnd5e flags of the actor
+ * @return {{parts: string[], data: object, halflingLucky: boolean}}
+ */
+export function abilityTestParts(actorData, abilityId, flags = {}) {
+    const abl = actorData.abilities[abilityId];
+    const parts = ["@mod"];
+    const data = { mod: abl.mod };
+
+    // Add feat-related proficiency bonuses
+    const athletic = CONFIG.DND5E.characterFlags?.remarkableAthlete?.abilities ?? [];
+    if (flags.remarkableAthlete && athletic.includes(abilityId)) {
+        parts.push("@proficiency");
+        data.proficiency = Math.ceil(0.5 * actorData.attributes.prof);
+    }
+    else if (flags.jackOfAllTrades) {
+        parts.push("@proficiency");
+        data.proficiency = Math.floor(0.5 * actorData.attributes.prof);
+    }
+
+    // Add global actor bonus
+    const bonuses = actorData.bonuses?.abilities || {};
+    if (bonuses.check) {
+        parts.push("@checkBonus");
+        data.checkBonus = bonuses.check;
+    }
+    return { parts, data, halflingLucky: !!flags.halflingLucky };
+};
+
+/**
+ * Build the parts of an ability saving throw, which follow the d20 term
+ * @param {object} actorData        The system data of the actor making the save
+ * @param {string} abilityId        The ability id (e.g. "str")
+ * @param {object} flags            The dnd5e flags of the actor
+ * @return {{parts: string[], data: object, halflingLucky: boolean}}
+ */
+export function abilitySaveParts(actorData, abilityId, flags = {}) {
+    const abl = actorData.abilities[abilityId];
+    const parts = ["@mod"];
+    const data = { mod: abl.mod };
+
+    // Include proficiency bonus
+    const prof = _flatProficiency(abl.prof);
+    if (prof > 0) {
+        parts.push("@prof");
+        data.prof = prof;
+    }
+
+    // Include a global actor ability save bonus
+    const bonuses = actorData.bonuses?.abilities || {};
+    if (bonuses.save) {
+        parts.push("@saveBonus");
+        data.saveBonus = bonuses.save;
+    }
+    return { parts, data, halflingLucky: !!flags.halflingLucky };
+};
+
+/**
+ * Build the parts of a death saving throw, which has no d20 modifier other than global save bonuses
+ * @param {object} actorData        The system data of the actor making the save
+ * @param {object} flags            The dnd5e flags of the actor
+ * @return {{parts: string[], data: object, halflingLucky: boolean}}
+ */
+export function deathSaveParts(actorData, flags = {}) {
+    const parts = [];
+    const data = {};
+    const bonuses = actorData.bonuses?.abilities || {};
+    if (bonuses.save) {
+        parts.push("@saveBonus");
+        data.saveBonus = bonuses.save;
+    }
+    return { parts, data, halflingLucky: !!flags.halflingLucky };
+};
+
+/**
+ * Build the parts of a tool check, which follow the d20 term and take their values from the roll data of the tool
+ * @param {object} itemData         The system data of the tool
+ * @param {object} flags            The dnd5e flags of the actor who owns the tool
+ * @return {{parts: string[], halflingLucky: boolean, reliableTalent: boolean}}
+ */
+export function toolCheckParts(itemData, flags = {}) {
+    return {
+        parts: ["@mod", "@prof"],
+        halflingLucky: !!flags.halflingLucky,
+        reliableTalent: !!((itemData.proficient >= 1) && flags.reliableTalent)
+    };
+};
+
+/**
+ * Build the parts of an attack roll, which follow the d20 term, along with the d20 options the attacker's feats call for
+ * Ammunition is left to the caller, as it depends on another item of the actor.
+ * @param {string} itemType         The type of the attacking item, such as "weapon" or "spell"
+ * @param {object} itemData         The system data of the attacking item
+ * @param {string} abilityMod       The ability the item attacks with (e.g. "dex")
+ * @param {object} actorData        The system data of the actor who owns the item
+ * @param {object} flags            The dnd5e flags of the actor
+ * @return {{parts: string[], data: object, options: object}}  The parts, any roll data they add to that of the item,
+ *                                  and the d20 options which apply, such as critical or elvenAccuracy
+ */
+export function attackParts(itemType, itemData, abilityMod, actorData, flags = {}) {
+    const parts = ["@mod"];
+    const data = {};
+    const options = {};
+    if ((itemType !== "weapon") || itemData.proficient) {
+        parts.push("@prof");
+    }
+
+    // Attack Bonus
+    const actorBonus = actorData?.bonuses?.[itemData.actionType] || {};
+    if (itemData.attackBonus || actorBonus.attack) {
+        parts.push("@atk");
+        data.atk = [itemData.attackBonus, actorBonus.attack].filter(b => b).join(" + ");
+    }
+
+    // Expanded weapon critical threshold
+    if ((itemType === "weapon") && flags.weaponCriticalThreshold) {
+        options.critical = parseInt(flags.weaponCriticalThreshold);
+    }
+
+    // Elven Accuracy
+    if (["weapon", "spell"].includes(itemType) && flags.elvenAccuracy && ["dex", "int", "wis", "cha"].includes(abilityMod)) {
+        options.elvenAccuracy = true;
+    }
+
+    // Apply Halfling Lucky
+    if (flags.halflingLucky) options.halflingLucky = true;
+    return { parts, data, options };
+};
+
+/**
+ * Read a proficiency bonus from actor data, where later dnd5e versions keep a Proficiency object in place of a number
+ * @param {number|object} prof      The proficiency bonus, or a Proficiency with its bonus as "flat"
+ * @return {number}
+ * @private
+ */
+function _flatProficiency(prof) {
+    return Number((typeof prof === "object") ? prof?.flat : prof) || 0;
+};
@@ -1,48 +1,47 @@
+import {
+    configLabel, dataPath, documentData, duplicate, evaluateRoll, getProperty, hiddenPermission, isDie, isEvaluated,
+    journalEntries, mergeObject, messageRoll, messageRollUpdate, pendingMessage, randomID, rollModeLabels, systemData,
+    systemDice, updatePendingMessage
+} from "./compat.js";
+import {
+    abilitySaveParts, abilityTestParts, attackParts, d20Formula, deathSaveParts, skillCheckParts, toolCheckParts
+} from "./dnd5eFormulas.js";
+import {
+    constraintChance, contestPlan, degreeConstraints, describeConstraint, fudgeRange, fudgeToConstraint, fudgeToConstraints,
+    fudgeTotal, outcomeConstraint, PF2E_DEGREES, pf2eDegree, rollDistribution, targetConstraint
+} from "./rollMath.js";
+
 /**
  * Roll a Skill Check
  * Prompt the user for input regarding Advantage/Disadvantage and any Situational Bonus
  * @param {string} skillId      The skill id (e.g. "ins")
+ * @param {Actor} actor         The actor making the check, the speaker's actor by default
  * @param {Object} options      Options which configure how the skill check is rolled
  * @return {Promise<Roll>}      A Promise which resolves to the created Roll instance
  */
-function rollSkillFudge(skillId, options = {}) {
-    const skl = actor.data.data.skills[skillId];
-    const bonuses = getProperty(actor.data.data, "bonuses.abilities") || {};
-
-    // Compose roll parts and data
-    const parts = ["@mod"];
-    const data = { mod: skl.mod + skl.prof };
-
-    // Ability test bonus
-    if (bonuses.check) {
-        data["checkBonus"] = bonuses.check;
-        parts.push("@checkBonus");
-    }
-
-    // Skill check bonus
-    if (bonuses.skill) {
-        data["skillBonus"] = bonuses.skill;
-        parts.push("@skillBonus");
+function rollSkillFudge(skillId, { actor: rollActor = _defaultActor(), ...options } = {}) {
+    if (systemDice() && !options.dryRun) {
+        const speaker = options.speaker || ChatMessage.getSpeaker({ actor: rollActor });
+        return _systemRollFudge(o => rollActor.rollSkill(skillId, o), { speaker, flags: { type: "skill", skillId } }, options);
     }
+    const { parts, data, halflingLucky, reliableTalent } = skillCheckParts(systemData(rollActor), skillId,
+        documentData(rollActor).flags.dnd5e);
 
     // Add provided extra roll parts now because they will get clobbered by mergeObject below
     if (options.parts?.length > 0) {
         parts.push(...options.parts);
     }
 
-    // Reliable Talent applies to any skill check we have full or better proficiency in
-    const reliableTalent = (skl.value >= 1 && actor.getFlag("dnd5e", "reliableTalent"));
-
     // Roll and return
     const rollData = mergeObject(options, {
         parts: parts,
         data: data,
         title: game.i18n.format("DND5E.SkillPromptTitle", { skill: CONFIG.DND5E.skills[skillId] }),
-        halflingLucky: actor.getFlag("dnd5e", "halflingLucky"),
+        halflingLucky: halflingLucky,
         reliableTalent: reliableTalent,
         messageData: { "flags.dnd5e.roll": { type: "skill", skillId } }
     });
-    rollData.speaker = options.speaker || ChatMessage.getSpeaker({ actor: actor });
+    rollData.speaker = options.speaker || ChatMessage.getSpeaker({ actor: rollActor });
     return d20RollFudge(rollData);
 };
 
@@ -50,34 +49,17 @@ function rollSkillFudge(skillId, options = {}) {
  * Roll an Ability Test
  * Prompt the user for input regarding Advantage/Disadvantage and any Situational Bonus
  * @param {String} abilityId    The ability ID (e.g. "str")
+ * @param {Actor} actor         The actor making the test, the speaker's actor by default
  * @param {Object} options      Options which configure how ability tests are rolled
  * @return {Promise<Roll>}      A Promise which resolves to the created Roll instance
  */
-function rollAbilityTestFudge(abilityId, options = {}) {
-    const label = CONFIG.DND5E.abilities[abilityId];
-    const abl = actor.data.data.abilities[abilityId];
-
-    // Construct parts
-    const parts = ["@mod"];
-    const data = { mod: abl.mod };
-
-    // Add feat-related proficiency bonuses
-    const feats = actor.data.flags.dnd5e || {};
-    if (feats.remarkableAthlete && DND5E.characterFlags.remarkableAthlete.abilities.includes(abilityId)) {
-        parts.push("@proficiency");
-        data.proficiency = Math.ceil(0.5 * actor.data.data.attributes.prof);
-    }
-    else if (feats.jackOfAllTrades) {
-        parts.push("@proficiency");
-        data.proficiency = Math.floor(0.5 * actor.data.data.attributes.prof);
-    }
-
-    // Add global actor bonus
-    const bonuses = getProperty(actor.data.data, "bonuses.abilities") || {};
-    if (bonuses.check) {
-        parts.push("@checkBonus");
-        data.checkBonus = bonuses.check;
+function rollAbilityTestFudge(abilityId, { actor: rollActor = _defaultActor(), ...options } = {}) {
+    if (systemDice() && !options.dryRun) {
+        const speaker = options.speaker || ChatMessage.getSpeaker({ actor: rollActor });
+        return _systemRollFudge(o => rollActor.rollAbilityTest(abilityId, o), { speaker, flags: { type: "ability", abilityId } }, options);
     }
+    const label = CONFIG.DND5E.abilities[abilityId];
+    const { parts, data, halflingLucky } = abilityTestParts(systemData(rollActor), abilityId, documentData(rollActor).flags.dnd5e);
 
     // Add provided extra roll parts now because they will get clobbered by mergeObject below
     if (options.parts?.length > 0) {
@@ -89,10 +71,10 @@ function rollAbilityTestFudge(abilityId, options = {}) {
         parts: parts,
         data: data,
         title: game.i18n.format("DND5E.AbilityPromptTitle", { ability: label }),
-        halflingLucky: feats.halflingLucky,
+        halflingLucky: halflingLucky,
         messageData: { "flags.dnd5e.roll": { type: "ability", abilityId } }
     });
-    rollData.speaker = options.speaker || ChatMessage.getSpeaker({ actor: actor });
+    rollData.speaker = options.speaker || ChatMessage.getSpeaker({ actor: rollActor });
     return d20RollFudge(rollData);
 };
 
@@ -100,29 +82,17 @@ function rollAbilityTestFudge(abilityId, options = {}) {
    * Roll an Ability Saving Throw
    * Prompt the user for input regarding Advantage/Disadvantage and any Situational Bonus
    * @param {String} abilityId    The ability ID (e.g. "str")
+   * @param {Actor} actor         The actor making the save, the speaker's actor by default
    * @param {Object} options      Options which configure how ability tests are rolled
    * @return {Promise<Roll>}      A Promise which resolves to the created Roll instance
    */
-function rollAbilitySaveFudge(abilityId, options = {}) {
-    const label = CONFIG.DND5E.abilities[abilityId];
-    const abl = actor.data.data.abilities[abilityId];
-
-    // Construct parts
-    const parts = ["@mod"];
-    const data = { mod: abl.mod };
-
-    // Include proficiency bonus
-    if (abl.prof > 0) {
-        parts.push("@prof");
-        data.prof = abl.prof;
-    }
-
-    // Include a global actor ability save bonus
-    const bonuses = getProperty(actor.data.data, "bonuses.abilities") || {};
-    if (bonuses.save) {
-        parts.push("@saveBonus");
-        data.saveBonus = bonuses.save;
+function rollAbilitySaveFudge(abilityId, { actor: rollActor = _defaultActor(), ...options } = {}) {
+    if (systemDice() && !options.dryRun) {
+        const speaker = options.speaker || ChatMessage.getSpeaker({ actor: rollActor });
+        return _systemRollFudge(o => rollActor.rollAbilitySave(abilityId, o), { speaker, flags: { type: "save", abilityId } }, options);
     }
+    const label = CONFIG.DND5E.abilities[abilityId];
+    const { parts, data, halflingLucky } = abilitySaveParts(systemData(rollActor), abilityId, documentData(rollActor).flags.dnd5e);
 
     // Add provided extra roll parts now because they will get clobbered by mergeObject below
     if (options.parts?.length > 0) {
@@ -134,10 +104,10 @@ function rollAbilitySaveFudge(abilityId, options = {}) {
         parts: parts,
         data: data,
         title: game.i18n.format("DND5E.SavePromptTitle", { ability: label }),
-        halflingLucky: actor.getFlag("dnd5e", "halflingLucky"),
+        halflingLucky: halflingLucky,
         messageData: { "flags.dnd5e.roll": { type: "save", abilityId } }
     });
-    rollData.speaker = options.speaker || ChatMessage.getSpeaker({ actor: actor });
+    rollData.speaker = options.speaker || ChatMessage.getSpeaker({ actor: rollActor });
     return d20RollFudge(rollData);
 };
 
@@ -145,48 +115,61 @@ function rollAbilitySaveFudge(abilityId, options = {}) {
  * Place an attack roll using an item (weapon, feat, spell, or equipment)
  * Rely upon the d20Roll logic for the core implementation
  *
+ * @param {string} item           The id of the owned item which is attacking
+ * @param {Actor} actor           The actor who owns the item, the speaker's actor by default
+ * @param {boolean} consumeSlot   If the item is a spell, spend a spell slot of the level it is cast at
+ * @param {number} spellLevel     If the item is a spell, override the level it is cast at
+ * @param {object|null} chain     Carry on into damage and concentration, as described by _attackChainFudge
  * @param {object} options        Roll options which are configured and provided to the d20Roll function
  * @return {Promise<Roll|null>}   A Promise which resolves to the created Roll instance
  */
-async function rollAttackFudge(item, options = {}) {
-    const itemOwned = actor.items.find(i => i.data._id == item);
-    const itemData = itemOwned.data.data;
-    const actorData = actor.data.data;
-    const flags = actor.data.flags.dnd5e || {};
+async function rollAttackFudge(item, { actor: rollActor = _defaultActor(), consumeSlot = false, spellLevel = null, chain = null,
+    ...options } = {}) {
+    if (chain && !options.dryRun) return _attackChainFudge(item, { ...options, actor: rollActor, consumeSlot, spellLevel }, chain);
+    const itemOwned = rollActor.items.get(item);
+    const itemData = systemData(itemOwned);
+    const actorData = systemData(rollActor);
+    const flags = documentData(rollActor).flags.dnd5e || {};
     if (!itemOwned.hasAttack) {
         throw new Error("You may not place an Attack Roll with this Item.");
     }
-    let title = `${itemOwned.name} - ${game.i18n.localize("DND5E.AttackRoll")}`;
-    const rollData = itemOwned.getRollData();
-
-    // Define Roll bonuses
-    const parts = [`@mod`];
-    if ((itemOwned.data.type !== "weapon") || itemData.proficient) {
-        parts.push("@prof");
-    }
 
-    // Attack Bonus
-    const actorBonus = actorData?.bonuses?.[itemData.actionType] || {};
-    if (itemData.attackBonus || actorBonus.attack) {
-        parts.push("@atk");
-        rollData["atk"] = [itemData.attackBonus, actorBonus.attack].filterJoin(" + ");
+    // Later dnd5e versions roll the attack themselves, a dry run only builds the formula so no ammunition is spent
+    if (systemDice()) {
+        if (options.dryRun) {
+            const ammo = itemOwned._ammo;
+            const { parts, rollData } = itemOwned.getAttackToHit();
+            itemOwned._ammo = ammo;
+            return d20RollFudge({ ...options, parts, data: rollData, critical: itemOwned.getCriticalThreshold?.() ?? 20 });
+        }
+        const speaker = ChatMessage.getSpeaker({ actor: rollActor });
+        const flags = { type: "attack", itemId: itemOwned.id };
+        const roll = await _systemRollFudge(o => itemOwned.rollAttack(o), { speaker, flags }, options);
+        if (roll && consumeSlot && (documentData(itemOwned).type === "spell")) {
+            if (await _consumeSpellSlot(itemOwned, spellLevel ?? itemData.level) === false) return null;
+        }
+        return roll;
     }
+    let title = `${itemOwned.name} - ${game.i18n.localize("DND5E.AttackRoll")}`;
+    const attack = attackParts(documentData(itemOwned).type, itemData, itemOwned.abilityMod, actorData, flags);
+    const parts = attack.parts;
+    const rollData = { ...itemOwned.getRollData(), ...attack.data };
 
-    // Ammunition Bonus
-    delete itemOwned._ammo;
+    // Ammunition Bonus, which a dry run counts without marking the ammunition for the damage roll
+    if (!options.dryRun) delete itemOwned._ammo;
     const consume = itemData.consume;
     if (consume?.type === "ammo") {
         const ammo = itemOwned.actor.items.get(consume.target);
         if (ammo?.data) {
-            const q = ammo.data.data.quantity;
+            const q = systemData(ammo).quantity;
             const consumeAmount = consume.amount ?? 0;
             if (q && (q - consumeAmount >= 0)) {
-                let ammoBonus = ammo.data.data.attackBonus;
+                let ammoBonus = systemData(ammo).attackBonus;
                 if (ammoBonus) {
                     parts.push("@ammo");
                     rollData["ammo"] = ammoBonus;
                     title += ` [${ammo.name}]`;
-                    itemOwned._ammo = ammo;
+                    if (!options.dryRun) itemOwned._ammo = ammo;
                 }
             }
         }
@@ -195,10 +178,10 @@ async function rollAttackFudge(item, options = {}) {
     // Compose roll options
     const rollConfig = mergeObject({
         parts: parts,
-        actor: actor,
+        actor: rollActor,
         data: rollData,
         title: title,
-        speaker: ChatMessage.getSpeaker({ actor: actor }),
+        speaker: ChatMessage.getSpeaker({ actor: rollActor }),
         dialogOptions: {
             width: 400,
             top: options.event ? options.event.clientY - 80 : null,
@@ -208,31 +191,707 @@ async function rollAttackFudge(item, options = {}) {
     }, options);
     rollConfig.event = options.event;
 
-    // Expanded weapon critical threshold
-    if ((itemOwned.data.type === "weapon") && flags.weaponCriticalThreshold) {
-        rollConfig.critical = parseInt(flags.weaponCriticalThreshold);
-    }
-
-    // Elven Accuracy
-    if (["weapon", "spell"].includes(itemOwned.data.type)) {
-        if (flags.elvenAccuracy && ["dex", "int", "wis", "cha"].includes(itemOwned.abilityMod)) {
-            rollConfig.elvenAccuracy = true;
-        }
-    }
-
-    // Apply Halfling Lucky
-    if (flags.halflingLucky) rollConfig.halflingLucky = true;
+    // Expanded critical threshold, Elven Accuracy and Halfling Lucky
+    Object.assign(rollConfig, attack.options);
 
     // Invoke the d20 roll helper
     const roll = await d20RollFudge(rollConfig);
     if (roll === false) return null;
+    if (rollConfig.dryRun) return roll;
 
     // Handle resource consumption if the attack roll was made
-    const allowed = await this._handleResourceConsumption({ isCard: false, isAttack: true });
+    const allowed = await itemOwned._handleResourceConsumption?.({ isCard: false, isAttack: true });
     if (allowed === false) return null;
+
+    // Spend the spell slot which casting the spell from the sheet would have
+    if (consumeSlot && (documentData(itemOwned).type === "spell")) {
+        const spent = await _consumeSpellSlot(itemOwned, spellLevel ?? itemData.level);
+        if (spent === false) return null;
+    }
+    return roll;
+};
+
+/**
+ * Fudge a whole exchange: an attack against the targeted tokens, its damage applied to those it hits, and the
+ * concentration save that damage forces, all posted together on one summary card
+ * Each roll can be fudged on its own terms and is recorded in the fudge log like any other fudged roll.
+ * @param {string} item             The id of the owned item which is attacking
+ * @param {object} options          The options of the attack roll, as taken by rollAttackFudge
+ * @param {number|null} damage      The total the damage should be fudged to, or null for an honest roll
+ * @param {number|null} leaveAt     The hit points the first target hit should be left at, used instead of a damage total
+ * @param {boolean} versatile       Roll damage with the versatile formula
+ * @param {object} concentration    The target or outcome of any concentration save, which is honest without one
+ * @return {Promise<Roll|null>}     The attack Roll, or null if the attack could not be made
+ * @private
+ */
+async function _attackChainFudge(item, options, { damage = null, leaveAt = null, versatile = false, concentration = {} } = {}) {
+    const rollActor = options.actor;
+    const itemOwned = rollActor.items.get(item);
+    const targets = Array.from(game.user.targets).filter(t => t.actor);
+    const attack = await rollAttackFudge(item, { ...options, targetValue: options.targetValue ?? targetAC(), chatMessage: false });
+    if (!attack) return null;
+
+    // Judge the attack against each target, a critical always hits and a fumble always misses
+    const d20 = attack.dice[0];
+    const critical = (d20?.total ?? 0) >= (d20?.options.critical ?? 20);
+    const fumble = (d20?.total ?? 1) <= (d20?.options.fumble ?? 1);
+    const hits = targets.map(t => {
+        const ac = systemData(t.actor).attributes.ac.value;
+        return { token: t, ac, hit: critical || (!fumble && (attack.total >= ac)) };
+    });
+    const lines = [`<div class="fudge-exchange-roll">${await attack.render()}</div>`];
+    for (let { token, ac, hit } of hits) {
+        const result = game.i18n.localize(!hit ? "FUDGE.ExchangeMiss" : critical ? "FUDGE.ExchangeCritical" : "FUDGE.ExchangeHit");
+        lines.push(`<p>${game.i18n.format("FUDGE.ExchangeAttack", { name: token.name, ac, result })}</p>`);
+    }
+
+    // Roll damage once for everyone hit, so that the first of them is left at the chosen hit points if asked
+    const struck = hits.filter(h => h.hit);
+    if (struck.length && itemOwned.hasDamage) {
+        if (Number.isInteger(leaveAt)) {
+            const hp = systemData(struck[0].token.actor).attributes.hp;
+            damage = Math.max((hp.value - leaveAt) + (hp.temp || 0), 0);
+        }
+        const roll = await rollDamageFudge(item, {
+            actor: rollActor, spellLevel: options.spellLevel, versatile, critical,
+            target: damage, fastForward: true, chatMessage: false
+        });
+        if (roll) lines.push(`<div class="fudge-exchange-roll">${await roll.render()}</div>`);
+        for (let { token } of (roll ? struck : [])) {
+            const before = systemData(token.actor).attributes.hp.value;
+            await token.actor.applyDamage(roll.total);
+            const after = systemData(token.actor).attributes.hp.value;
+            lines.push(`<p>${game.i18n.format("FUDGE.ExchangeDamage", { name: token.name, before, after })}</p>`);
+
+            // Damage to a concentrating creature which is still standing forces a Constitution save
+            if (!_isConcentrating(token.actor) || (after <= 0) || (roll.total <= 0)) continue;
+            const dc = Math.max(10, Math.floor(roll.total / 2));
+            const save = await rollAbilitySaveFudge("con", {
+                actor: token.actor, target: concentration.target ?? null, outcome: concentration.outcome ?? null,
+                targetValue: dc, fastForward: true, chatMessage: false
+            });
+            if (!save) continue;
+            const kept = save.total >= dc;
+            if (!kept) await _endConcentration(token.actor);
+            lines.push(`<div class="fudge-exchange-roll">${await save.render()}</div>`);
+            lines.push(`<p>${game.i18n.format("FUDGE.ExchangeConcentration", {
+                name: token.name,
+                dc,
+                result: game.i18n.localize(kept ? "FUDGE.ConcentrationKept" : "FUDGE.ConcentrationLost")
+            })}</p>`);
+        }
+    }
+
+    const chatData = {
+        user: game.user.id,
+        speaker: ChatMessage.getSpeaker({ actor: rollActor }),
+        flavor: game.i18n.format("FUDGE.ExchangeTitle", { name: rollActor.name, item: itemOwned.name }),
+        content: lines.join(""),
+        sound: CONFIG.sounds.dice
+    };
+    ChatMessage.applyRollMode(chatData, options.rollMode || _defaultRollMode());
+    await ChatMessage.create(chatData);
+    return attack;
+};
+
+/**
+ * Whether an actor is concentrating, shown by the concentrating status effect
+ * @param {Actor} actor             The actor
+ * @return {boolean}
+ * @private
+ */
+function _isConcentrating(actor) {
+    return _concentrationEffects(actor).length > 0;
+};
+
+/**
+ * Get the active effects which mark an actor as concentrating
+ * @param {Actor} actor             The actor
+ * @return {ActiveEffect[]}
+ * @private
+ */
+function _concentrationEffects(actor) {
+    const effects = actor.effects.contents ?? Array.from(actor.effects.values());
+    return effects.filter(e => e.statuses?.has("concentrating") || (getProperty(documentData(e), "flags.core.statusId") === "concentrating"));
+};
+
+/**
+ * End an actor's concentration by removing its concentrating status effects
+ * @param {Actor} actor             The actor
+ * @return {Promise}
+ * @private
+ */
+async function _endConcentration(actor) {
+    const ids = _concentrationEffects(actor).map(e => e.id);
+    if (!ids.length) return;
+    if (actor.deleteEmbeddedDocuments) return actor.deleteEmbeddedDocuments("ActiveEffect", ids);
+    return actor.deleteEmbeddedEntity("ActiveEffect", ids);
+};
+
+/**
+ * Spend a spell slot for casting an owned spell, as the item card would
+ * Cantrips and spells which are not cast from slots, such as at-will or innate spells, spend nothing.
+ * @param {Item} itemOwned        The owned spell
+ * @param {number} level          The level the spell is cast at
+ * @return {Promise<boolean>}     False if there was no slot left to spend
+ * @private
+ */
+async function _consumeSpellSlot(itemOwned, level) {
+    const itemData = systemData(itemOwned);
+    const mode = itemData.preparation.mode;
+    if ((level < 1) || !CONFIG.DND5E.spellUpcastModes.includes(mode)) return true;
+    const slot = (mode === "pact") ? "pact" : `spell${level}`;
+    const remaining = parseInt(systemData(itemOwned.actor).spells[slot]?.value || 0);
+    if (remaining < 1) {
+        ui.notifications.warn(game.i18n.format("DND5E.SpellCastNoSlots", { name: itemOwned.name, level: CONFIG.DND5E.spellLevels[level] }));
+        return false;
+    }
+    await itemOwned.actor.update({ [dataPath(`spells.${slot}.value`)]: remaining - 1 });
+    return true;
+};
+
+/**
+ * Place a damage roll using an item (weapon, feat, spell, or equipment)
+ * Rely upon the damageRoll logic for the core implementation
+ *
+ * @param {string} item             The id of the owned item which is rolling damage
+ * @param {Actor} actor             The actor who owns the item, the speaker's actor by default
+ * @param {number} spellLevel       If the item is a spell, override the level for damage scaling
+ * @param {boolean} versatile       If the item is a weapon, roll damage using the versatile formula
+ * @param {object} options          Additional options passed to the damageRoll function
+ * @return {Promise<Roll>}          A Promise which resolves to the created Roll instance
+ */
+function rollDamageFudge(item, { actor: rollActor = _defaultActor(), spellLevel = null, versatile = false, ...options } = {}) {
+    const itemOwned = rollActor.items.get(item);
+    const itemData = systemData(itemOwned);
+    const actorData = systemData(rollActor);
+    if (!itemOwned.hasDamage) {
+        throw new Error("You may not make a Damage Roll with this Item.");
+    }
+    if (systemDice()) {
+        const speaker = ChatMessage.getSpeaker({ actor: rollActor });
+        const rollDamage = o => itemOwned.rollDamage({ critical: o.critical, event: o.event, spellLevel, versatile, options: o });
+        return _systemRollFudge(rollDamage, { speaker, flags: { type: "damage", itemId: itemOwned.id } }, options);
+    }
+    const messageData = { "flags.dnd5e.roll": { type: "damage", itemId: itemOwned.id } };
+
+    // Get roll data
+    const parts = itemData.damage.parts.map(d => d[0]);
+    const rollData = itemOwned.getRollData();
+    if (spellLevel) rollData.item.level = spellLevel;
+
+    // Configure the damage roll
+    const title = `${itemOwned.name} - ${game.i18n.localize("DND5E.DamageRoll")}`;
+    const rollConfig = {
+        actor: rollActor,
+        data: rollData,
+        parts: parts,
+        title: title,
+        flavor: itemOwned.labels.damageTypes.length ? `${title} (${itemOwned.labels.damageTypes})` : title,
+        speaker: ChatMessage.getSpeaker({ actor: rollActor }),
+        dialogOptions: {
+            width: 400,
+            top: options.event ? options.event.clientY - 80 : null,
+            left: window.innerWidth - 710
+        },
+        messageData: messageData
+    };
+
+    // Adjust damage from versatile usage
+    if (versatile && itemData.damage.versatile) {
+        parts[0] = itemData.damage.versatile;
+        messageData["flags.dnd5e.roll"].versatile = true;
+    }
+
+    // Scale damage from up-casting spells
+    if (documentData(itemOwned).type === "spell") {
+        if (itemData.scaling.mode === "cantrip") {
+            const level = documentData(rollActor).type === "character" ? actorData.details.level : actorData.details.spellLevel;
+            itemOwned._scaleCantripDamage(parts, itemData.scaling.formula, level, rollData);
+        }
+        else if (spellLevel && (itemData.scaling.mode === "level") && itemData.scaling.formula) {
+            itemOwned._scaleSpellDamage(parts, itemData.level, spellLevel, itemData.scaling.formula, rollData);
+        }
+    }
+
+    // Damage Bonus
+    const actorBonus = getProperty(actorData, `bonuses.${itemData.actionType}`) || {};
+    if (actorBonus.damage && (parseInt(actorBonus.damage) !== 0)) {
+        parts.push("@dmg");
+        rollData["dmg"] = actorBonus.damage;
+    }
+
+    // Ammunition Damage
+    if (itemOwned._ammo) {
+        parts.push("@ammo");
+        rollData["ammo"] = systemData(itemOwned._ammo).damage.parts.map(p => p[0]).join("+");
+        rollConfig.flavor += ` [${itemOwned._ammo.name}]`;
+        delete itemOwned._ammo;
+    }
+
+    // Scale melee critical hit damage
+    if (itemData.actionType === "mwak") {
+        rollConfig.criticalBonusDice = rollActor.getFlag("dnd5e", "meleeCriticalDamageDice") ?? 0;
+    }
+
+    // Invoke the damage roll helper
+    const damageConfig = mergeObject(rollConfig, options);
+    damageConfig.event = options.event;
+    return damageRollFudge(damageConfig);
+};
+
+/**
+ * Roll a Tool Check, prompting the user for the ability to use alongside any Situational Bonus
+ * Rely upon the d20Roll logic for the core implementation
+ *
+ * @param {string} item             The id of the owned tool which is used
+ * @param {Actor} actor             The actor who owns the tool, the speaker's actor by default
+ * @param {object} options          Roll options which are configured and provided to the d20Roll function
+ * @return {Promise<Roll>}          A Promise which resolves to the created Roll instance
+ */
+function rollToolCheckFudge(item, { actor: rollActor = _defaultActor(), ...options } = {}) {
+    const itemOwned = rollActor.items.get(item);
+    if (!itemOwned || (documentData(itemOwned).type !== "tool")) {
+        throw new Error("You may only make a Tool Check with a tool.");
+    }
+    if (systemDice() && !options.dryRun) {
+        const speaker = ChatMessage.getSpeaker({ actor: rollActor });
+        return _systemRollFudge(o => itemOwned.rollToolCheck(o), { speaker, flags: { type: "tool", itemId: itemOwned.id } }, options);
+    }
+
+    // Prepare roll data
+    const rollData = itemOwned.getRollData();
+    const { parts, halflingLucky, reliableTalent } = toolCheckParts(systemData(itemOwned), documentData(rollActor).flags.dnd5e);
+    const title = `${itemOwned.name} - ${game.i18n.localize("DND5E.ToolCheck")}`;
+
+    // Compose the roll data
+    const rollConfig = mergeObject({
+        parts: parts,
+        data: rollData,
+        template: "systems/dnd5e/templates/chat/tool-roll-dialog.html",
+        title: title,
+        speaker: ChatMessage.getSpeaker({ actor: rollActor }),
+        flavor: title,
+        dialogOptions: {
+            width: 400,
+            top: options.event ? options.event.clientY - 80 : null,
+            left: window.innerWidth - 710
+        },
+        halflingLucky: halflingLucky,
+        reliableTalent: reliableTalent,
+        messageData: { "flags.dnd5e.roll": { type: "tool", itemId: itemOwned.id } }
+    }, options);
+    rollConfig.event = options.event;
+    return d20RollFudge(rollConfig);
+};
+
+/**
+ * Perform a death saving throw, rolling a d20 plus any global save bonuses
+ * The death save counts are updated from the fudged result, just as they would be from an honest one.
+ *
+ * @param {Actor} actor             The actor making the save, the speaker's actor by default
+ * @param {Object} options          Additional options which modify the roll
+ * @return {Promise<Roll|null>}     A Promise which resolves to the Roll instance
+ */
+async function rollDeathSaveFudge({ actor: rollActor = _defaultActor(), ...options } = {}) {
+
+    // Display a warning if we are not at zero HP or if we already have reached 3
+    const death = systemData(rollActor).attributes.death;
+    if ((systemData(rollActor).attributes.hp.value > 0) || (death.failure >= 3) || (death.success >= 3)) {
+        ui.notifications.warn(game.i18n.localize("DND5E.DeathSaveUnnecessary"));
+        return null;
+    }
+
+    // Evaluate a global saving throw bonus
+    const { parts, data, halflingLucky } = deathSaveParts(systemData(rollActor), documentData(rollActor).flags.dnd5e);
+    const speaker = options.speaker || ChatMessage.getSpeaker({ actor: rollActor });
+
+    // Evaluate the roll
+    const rollData = mergeObject(options, {
+        parts: parts,
+        data: data,
+        title: game.i18n.localize("DND5E.DeathSavingThrow"),
+        speaker: speaker,
+        halflingLucky: halflingLucky,
+        targetValue: 10,
+        messageData: { "flags.dnd5e.roll": { type: "death" } }
+    });
+    rollData.speaker = speaker;
+    const roll = await d20RollFudge(rollData);
+    if (!roll) return null;
+
+    // Take action depending on the result
+    const success = roll.total >= 10;
+    const d20 = roll.dice[0].total;
+
+    // Save success
+    if (success) {
+        let successes = (death.success || 0) + 1;
+
+        // Critical Success = revive with 1hp
+        if (d20 === 20) {
+            await rollActor.update({
+                [dataPath("attributes.death.success")]: 0,
+                [dataPath("attributes.death.failure")]: 0,
+                [dataPath("attributes.hp.value")]: 1
+            });
+            await ChatMessage.create({ content: game.i18n.format("DND5E.DeathSaveCriticalSuccess", { name: rollActor.name }), speaker });
+        }
+
+        // 3 Successes = survive and reset checks
+        else if (successes === 3) {
+            await rollActor.update({
+                [dataPath("attributes.death.success")]: 0,
+                [dataPath("attributes.death.failure")]: 0
+            });
+            await ChatMessage.create({ content: game.i18n.format("DND5E.DeathSaveSuccess", { name: rollActor.name }), speaker });
+        }
+
+        // Increment successes
+        else await rollActor.update({ [dataPath("attributes.death.success")]: Math.min(Math.max(successes, 0), 3) });
+    }
+
+    // Save failure
+    else {
+        let failures = (death.failure || 0) + (d20 === 1 ? 2 : 1);
+        await rollActor.update({ [dataPath("attributes.death.failure")]: Math.min(Math.max(failures, 0), 3) });
+        if (failures >= 3) {  // 3 Failures = death
+            await ChatMessage.create({ content: game.i18n.format("DND5E.DeathSaveFailure", { name: rollActor.name }), speaker });
+        }
+    }
+
+    // Return the rolled result
+    return roll;
+};
+
+/**
+ * Roll a hit die of the appropriate type, gaining hit points equal to the die roll plus your CON modifier
+ *
+ * @param {string} denomination     The hit denomination of hit die to roll. Example "d8".
+ *                                  If no denomination is provided, the first available HD will be used
+ * @param {Actor} actor             The actor spending the hit die, the speaker's actor by default
+ * @param {boolean} dialog          Show a dialog prompt for configuring the hit die roll?
+ * @param {number} target           The total the hit die roll should be fudged to, clamped to what the die can reach
+ * @return {Promise<Roll|null>}     The created Roll instance, or null if no hit die was rolled
+ */
+async function rollHitDieFudge(denomination, { actor: rollActor = _defaultActor(), dialog = true, target = null } = {}) {
+
+    // If no denomination was provided, choose the first available
+    let cls = null;
+    if (!denomination) {
+        cls = rollActor.itemTypes.class.find(c => systemData(c).hitDiceUsed < systemData(c).levels);
+        if (!cls) return null;
+        denomination = systemData(cls).hitDice;
+    }
+
+    // Otherwise locate a class (if any) which has an available hit die of the requested denomination
+    else {
+        cls = rollActor.items.find(i => {
+            const d = systemData(i);
+            return (d.hitDice === denomination) && ((d.hitDiceUsed || 0) < (d.levels || 1));
+        });
+    }
+
+    // If no class is available, display an error notification
+    if (!cls) {
+        ui.notifications.error(game.i18n.format("DND5E.HitDiceWarn", { name: rollActor.name, formula: denomination }));
+        return null;
+    }
+
+    // Prepare roll data
+    const parts = [`1${denomination}`, "@abilities.con.mod"];
+    const title = game.i18n.localize("DND5E.HitDiceRoll");
+    const rollData = duplicate(systemData(rollActor));
+
+    // Call the roll helper utility
+    const roll = await damageRollFudge({
+        event: new Event("hitDie"),
+        parts: parts,
+        data: rollData,
+        title: title,
+        speaker: ChatMessage.getSpeaker({ actor: rollActor }),
+        allowCritical: false,
+        fastForward: !dialog,
+        dialogOptions: { width: 350 },
+        messageData: { "flags.dnd5e.roll": { type: "hitDie" } },
+        target: target
+    });
+    if (!roll) return null;
+
+    // Adjust actor data
+    await cls.update({ [dataPath("hitDiceUsed")]: systemData(cls).hitDiceUsed + 1 });
+    const hp = systemData(rollActor).attributes.hp;
+    const dhp = Math.min(hp.max + (hp.tempmax ?? 0) - hp.value, roll.total);
+    await rollActor.update({ [dataPath("attributes.hp.value")]: hp.value + dhp });
+    return roll;
+};
+
+/**
+ * Roll initiative for an actor's combatant in the active combat, and set its initiative to the fudged result
+ *
+ * @param {Actor} actor             The actor rolling initiative, the speaker's actor by default
+ * @param {number|object} target    The total the roll should be fudged to, or bounds on it. An exact total
+ *                                  ignores the tiebreaker decimal the formula may add.
+ * @param {string} rollMode         A specific roll mode to apply to the posted roll
+ * @return {Promise<Roll|null>}     The created Roll instance, or null if the actor is not in combat
+ */
+async function rollInitiativeFudge({ actor: rollActor = _defaultActor(), target = null, rollMode = null } = {}) {
+    const combat = game.combat;
+    const combatant = combat?.combatants.find(c => c.actor?.id === rollActor.id);
+    if (!combatant) {
+        ui.notifications.warn(game.i18n.format("FUDGE.NotInCombat", { name: rollActor.name }));
+        return null;
+    }
+
+    // Roll the system's initiative formula, then fudge it
+    const formula = combatant._getInitiativeFormula?.() ?? combat._getInitiativeFormula(combatant);
+    const roll = await evaluateRoll(rollActor.getInitiativeRoll?.() ?? new Roll(formula, rollActor.getRollData()));
+    const constraint = Number.isInteger(target) ? { min: target, max: target + 0.99 } : targetConstraint(target);
+    if (constraint) {
+        const honest = _rollSummary(roll);
+        const request = _describeConstraint(constraint);
+        if (!fudgeToConstraint(roll, constraint)) {
+            const { min, max } = fudgeRange(roll);
+            ui.notifications.warn(game.i18n.format("FUDGE.CannotFudge", { formula: roll.formula, request, min, max }));
+            return null;
+        }
+        _recordFudge(honest, roll, { speaker: ChatMessage.getSpeaker({ actor: rollActor }), flags: { type: "initiative" }, request });
+    }
+
+    // Update the combatant and announce the roll
+    if (combatant.update) await combatant.update({ initiative: roll.total });
+    else await combat.updateCombatant({ _id: combatant._id, initiative: roll.total });
+    await roll.toMessage({
+        speaker: ChatMessage.getSpeaker({ actor: rollActor }),
+        flavor: game.i18n.format("COMBAT.RollsInitiative", { name: combatant.name }),
+        "flags.core.initiativeRoll": true
+    }, { rollMode: rollMode || _defaultRollMode() });
     return roll;
 };
 
+/**
+ * Roll an arbitrary formula, such as "8d6" or "2d10+4", and fudge it
+ *
+ * @param {string} formula          The formula to roll, which may reference the actor's roll data
+ * @param {Actor} actor             The actor whose roll data and speaker are used, the speaker's actor by default
+ * @param {number|object} target    The total the roll should be fudged to, or bounds on it
+ * @param {string} flavor           Flavor text to use in the posted chat message
+ * @param {string} rollMode         A specific roll mode to apply to the posted roll
+ * @return {Promise<Roll|null>}     The created Roll instance, or null if the roll could not be made
+ */
+async function rollFormulaFudge(formula, { actor: rollActor = _defaultActor(), target = null, flavor = null, rollMode = null } = {}) {
+    let roll;
+    try {
+        roll = await evaluateRoll(new Roll(formula, rollActor?.getRollData() ?? {}));
+    } catch (err) {
+        console.error(err);
+        ui.notifications.error(game.i18n.format("FUDGE.RollFailed", { error: err.message }));
+        return null;
+    }
+    const speaker = ChatMessage.getSpeaker({ actor: rollActor });
+    const constraint = targetConstraint(target);
+    if (constraint) {
+        const honest = _rollSummary(roll);
+        const request = _describeConstraint(constraint);
+        if (!fudgeToConstraint(roll, constraint)) {
+            const { min, max } = fudgeRange(roll);
+            ui.notifications.warn(game.i18n.format("FUDGE.CannotFudge", { formula: roll.formula, request, min, max }));
+            return null;
+        }
+        _recordFudge(honest, roll, { speaker, flags: { type: "formula" }, request });
+    }
+    await roll.toMessage({ speaker, flavor }, { rollMode: rollMode || _defaultRollMode() });
+    return roll;
+};
+
+/**
+ * Roll the same check or save for several actors at once, fudging each roll on its own terms
+ * The rolls are fast-forwarded, so no roll dialog is shown for any of them. An actor who cannot make the roll, such as
+ * one without the skill, is skipped with a warning and the rest of the group still rolls.
+ *
+ * @param {Actor[]} actors          The actors making the roll
+ * @param {string} type             The roll type, one of "skill", "ability" or "save"
+ * @param {string} key              The skill, ability or save id which is rolled
+ * @param {Array<number|object>} targets  The target for each actor's roll, in the same order as the actors
+ * @param {string[]} outcomes       The outcome for each actor's roll, which takes priority over its target
+ * @param {number} targetValue      The DC outcomes are judged against
+ * @param {string} rollMode         A specific roll mode to apply to the posted rolls
+ * @param {boolean} combine         Post the whole group's rolls as one chat card instead of a card for each
+ * @return {Promise<Array<Roll|null>>}  A Promise which resolves to each actor's Roll, or null where it failed
+ */
+async function rollGroupFudge(actors, type, key, { targets = [], outcomes = [], targetValue = null, rollMode = null,
+    combine = false } = {}) {
+    const adapter = systemAdapter();
+    const rolls = [];
+    for (let [i, a] of actors.entries()) {
+        let roll = null;
+        try {
+            roll = await checkRoller(type, adapter)(key, {
+                actor: a,
+                target: targets[i] ?? null,
+                outcome: outcomes[i] ?? null,
+                targetValue,
+                rollMode,
+                fastForward: true,
+                chatMessage: !combine
+            });
+        } catch (err) {
+            console.error(err);
+            ui.notifications.warn(game.i18n.format("FUDGE.GroupCannotRoll", { name: a.name, label: adapter.rollLabel(type, key, a) }));
+        }
+        rolls.push(roll);
+    }
+    if (!combine) return rolls;
+
+    // Post a single card listing each actor's roll
+    const rows = [];
+    for (let [i, roll] of rolls.entries()) {
+        if (roll) rows.push(`<div class="fudge-group-roll"><h4>${actors[i].name}</h4>${await roll.render()}</div>`);
+    }
+    const chatData = {
+        user: game.user.id,
+        speaker: ChatMessage.getSpeaker(),
+        flavor: adapter.rollLabel(type, key, actors[0]),
+        content: rows.join(""),
+        sound: CONFIG.sounds.dice
+    };
+    ChatMessage.applyRollMode(chatData, rollMode || _defaultRollMode());
+    await ChatMessage.create(chatData);
+    return rolls;
+};
+
+/**
+ * Share out success and failure among a group so that a given number of them pass
+ * @param {number} size             The number of rolls in the group
+ * @param {number} passes           How many of those rolls succeed
+ * @return {string[]}               An outcome for each roll, in random order
+ */
+function splitOutcomes(size, passes) {
+    const outcomes = Array.fromRange(size).map(i => i < passes ? "success" : "failure");
+    for (let i = outcomes.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [outcomes[i], outcomes[j]] = [outcomes[j], outcomes[i]];
+    }
+    return outcomes;
+};
+
+/**
+ * Roll a contested check between two actors, such as a grapple or Stealth against Perception, fudged to a chosen result
+ * Both checks are built by the system's own roll functions and rolled honestly first. If that does not give the
+ * result, only the side which needs the smaller change is fudged, to a total close to its honest one.
+ * Both rolls are then posted together on one chat card.
+ *
+ * @param {object[]} sides          The two sides, each an object with the "actor" making the check, its "type" of
+ *                                  "skill" or "ability", the skill or ability id "key", and optionally "advantage"
+ *                                  or "disadvantage"
+ * @param {number|string|null} winner  The index of the side which should win, "tie", or null to leave the contest honest
+ * @param {number} margin           How much the winner should win by, or null for any win
+ * @param {string} rollMode         A specific roll mode to apply to the posted card
+ * @return {Promise<Roll[]|null>}   The roll of each side, or null if the contest could not be rolled as asked
+ */
+async function rollContestFudge(sides, { winner = null, margin = null, rollMode = null } = {}) {
+    const adapter = systemAdapter();
+    const rolls = [];
+    for (let { actor, type, key, advantage = false, disadvantage = false } of sides) {
+        const roll = await checkRoller(type, adapter)?.(key, { actor, advantage, disadvantage, dryRun: true });
+        if (!roll) {
+            ui.notifications.warn(game.i18n.format("FUDGE.ContestCannotRoll", { name: actor.name }));
+            return null;
+        }
+        rolls.push(isEvaluated(roll) ? roll : await evaluateRoll(roll));
+    }
+
+    // Bound how far the first total may lead the second, then fudge the sides which need it
+    if (winner !== null) {
+        const lead = (winner === "tie") ? { min: 0, max: 0 }
+            : Number.isInteger(margin) ? { min: margin, max: margin } : { min: 1, max: Infinity };
+        if (winner === 1) [lead.min, lead.max] = [-lead.max, -lead.min];
+        const plan = contestPlan(rolls, lead);
+        if (!plan) {
+            ui.notifications.warn(game.i18n.format("FUDGE.ContestUnreachable", { first: rolls[0].formula, second: rolls[1].formula }));
+            return null;
+        }
+        const request = (winner === "tie") ? game.i18n.localize("FUDGE.RequestContestTie")
+            : game.i18n.format("FUDGE.RequestContestWon", { name: sides[winner].actor.name });
+        for (let { index, min, max } of plan) {
+            const honest = _rollSummary(rolls[index]);
+            fudgeToConstraint(rolls[index], { min, max });
+            const speaker = ChatMessage.getSpeaker({ actor: sides[index].actor });
+            _recordFudge(honest, rolls[index], { speaker, flags: { type: "contest", key: sides[index].key }, request });
+        }
+    }
+
+    // Post both rolls on one card, with the result of the contest
+    const rows = [];
+    for (let [i, roll] of rolls.entries()) {
+        const label = adapter.rollLabel(sides[i].type, sides[i].key, sides[i].actor);
+        rows.push(`<div class="fudge-contest-roll"><h4>${sides[i].actor.name}: ${label}</h4>${await roll.render()}</div>`);
+    }
+    const lead = rolls[0].total - rolls[1].total;
+    const result = (lead === 0) ? game.i18n.localize("FUDGE.ContestTie") : game.i18n.format("FUDGE.ContestWinner", {
+        name: sides[(lead > 0) ? 0 : 1].actor.name,
+        margin: Math.abs(lead)
+    });
+    const chatData = {
+        user: game.user.id,
+        speaker: ChatMessage.getSpeaker({ actor: sides[0].actor }),
+        flavor: game.i18n.localize("FUDGE.Contest"),
+        content: `${rows.join("")}<p><strong>${result}</strong></p>`,
+        sound: CONFIG.sounds.dice
+    };
+    ChatMessage.applyRollMode(chatData, rollMode || _defaultRollMode());
+    await ChatMessage.create(chatData);
+    return rolls;
+};
+
+/**
+ * Make a fudged roll of any of the roll types the Fudge Roll dialog offers
+ *
+ * @param {Actor} actor             The actor making the roll
+ * @param {string} type             The roll type, one of the rollTypes of the game system's adapter
+ * @param {string|null} key         The skill, ability, save, item, tool or hit die the roll uses, or the formula rolled
+ * @param {number|object} target    The total the roll should be fudged to, or bounds on it, only a total for damage and hit dice
+ * @param {string} outcome          A result the roll should be fudged to give instead of a target
+ * @param {number} targetValue      The DC an outcome is judged against, attacks use the AC of the targeted token by default
+ * @param {boolean} versatile       Roll damage with the versatile formula
+ * @param {boolean} consumeSlot     Spend a spell slot for an attack with a spell
+ * @param {object|null} chain       Carry an attack on into damage and concentration, as taken by rollAttackFudge
+ * @param {object} options          Further roll options, such as rollMode or fastForward
+ * @return {Promise<Roll|null>}     The created Roll instance, or null if the roll could not be made
+ */
+async function rollFudge(actor, type, key, { target = null, outcome = null, targetValue = null, versatile = false, consumeSlot = false,
+    chain = null, ...options } = {}) {
+    const adapter = systemAdapter();
+    if (!adapter.rollTypes.includes(type)) {
+        ui.notifications.warn(game.i18n.format("FUDGE.RollTypeUnsupported", { type: rollTypeLabel(type), system: game.system.id }));
+        return null;
+    }
+    switch (type) {
+        case "skill":
+        case "ability":
+        case "save":
+            return checkRoller(type, adapter)(key, { ...options, actor, target, outcome, targetValue });
+        case "attack":
+            return adapter.rollAttack(key, { ...options, actor, target, outcome, targetValue: targetValue ?? targetAC(), consumeSlot, chain });
+        case "damage":
+            if (!actor.items.get(key)?.hasDamage) return ui.notifications.warn(game.i18n.localize("FUDGE.ChooseDamageItem"));
+            return rollDamageFudge(key, { ...options, actor, target, versatile });
+        case "tool":
+            if (!key) return ui.notifications.warn(game.i18n.localize("FUDGE.ChooseTool"));
+            return rollToolCheckFudge(key, { ...options, actor, target, outcome, targetValue });
+        case "initiative":
+            return rollInitiativeFudge({ actor, target, rollMode: options.rollMode });
+        case "death":
+            return rollDeathSaveFudge({ ...options, actor, target, outcome });
+        case "hitDie":
+            return rollHitDieFudge(key, { actor, target, dialog: !options.fastForward });
+        case "formula":
+            if (!key) return ui.notifications.warn(game.i18n.localize("FUDGE.ChooseFormula"));
+            return rollFormulaFudge(key, { actor, target, rollMode: options.rollMode });
+    }
+    return null;
+};
+
 /**
  * A standardized helper function for managing core 5e "d20 rolls"
  *
@@ -260,6 +919,11 @@ async function rollAttackFudge(item, options = {}) {
  * @param {boolean} reliableTalent  Allow Reliable Talent to modify this roll?
  * @param {boolean} chatMessage     Automatically create a Chat Message for the result of this roll
  * @param {object} messageData      Additional data which is applied to the created Chat Message, if any
+ * @param {number|object} target    The total the roll should be fudged to, or bounds on it given as an object with
+ *                                  any of a lowest total "min", a highest total "max" and a kept d20 face "natural"
+ * @param {string} outcome          A result the roll should be fudged to give instead of an exact total, one of
+ *                                  "hit", "miss", "success" and "failure" against the targetValue, or "critical" and "fumble"
+ * @param {boolean} dryRun          Return the unevaluated Roll this configuration would make, without rolling it
  *
  * @return {Promise}                A Promise which resolves once the roll workflow has completed
  */
@@ -267,12 +931,48 @@ async function d20RollFudge({ parts = [], data = {}, event = {}, rollMode = null
     flavor = null, fastForward = null, dialogOptions,
     advantage = null, disadvantage = null, critical = 20, fumble = 1, targetValue = null,
     elvenAccuracy = false, halflingLucky = false, reliableTalent = false,
-    chatMessage = true, messageData = {}, target = null } = {}) {
+    chatMessage = true, messageData = {}, target = null, outcome = null, dryRun = false } = {}) {
+
+    // Hand back the Roll without evaluating it, so that its odds can be worked out
+    if (dryRun) {
+        const adv = advantage ? 1 : (disadvantage ? -1 : 0);
+        const formula = d20Formula(adv, { elvenAccuracy, halflingLucky, reliableTalent });
+        const roll = new Roll([formula].concat(parts).join(" + "), data);
+        for (let d of roll.dice) {
+            if (d.faces === 20) {
+                d.options.critical = critical;
+                d.options.fumble = fumble;
+            }
+        }
+        return roll;
+    }
+
+    // Outcomes other than a critical or a fumble are judged against the target value
+    if (["hit", "miss", "success", "failure"].includes(outcome) && !Number.isInteger(targetValue)) {
+        ui.notifications.warn(game.i18n.format("FUDGE.OutcomeNeedsTarget", { outcome: _outcomeLabel(outcome) }));
+        return null;
+    }
+
+    // Later dnd5e versions roll with their own D20Roll class and dialog, which hand the roll back before it is posted
+    messageData[`flags.${MODULE}.fudged`] = true;
+    const system = systemDice();
+    if (system) {
+        messageData.speaker = speaker || ChatMessage.getSpeaker();
+        const roll = await system.d20Roll({
+            parts, data, event, advantage, disadvantage, critical, fumble, targetValue,
+            elvenAccuracy, halflingLucky, reliableTalent, fastForward, title, dialogOptions,
+            flavor: flavor || title, rollMode: rollMode || _defaultRollMode(), chatMessage: false
+        });
+        const flags = messageData["flags.dnd5e.roll"];
+        if (!roll || !_fudgeD20(roll, { target, outcome, targetValue, critical, fumble, speaker: messageData.speaker, flags })) return null;
+        if (chatMessage) await roll.toMessage(messageData, { rollMode: roll.options.rollMode });
+        return roll;
+    }
 
     // Prepare Message Data
     messageData.flavor = flavor || title;
     messageData.speaker = speaker || ChatMessage.getSpeaker();
-    const messageOptions = { rollMode: rollMode || game.settings.get("core", "rollMode") };
+    const messageOptions = { rollMode: rollMode || _defaultRollMode() };
     parts = parts.concat(["@bonus"]);
 
     // Handle fast-forward events
@@ -285,32 +985,22 @@ async function d20RollFudge({ parts = [], data = {}, event = {}, rollMode = null
 
 
     // Define the inner roll function
-    const _roll = (parts, adv, form, target) => {
-
-        // Determine the d20 roll and modifiers
-        let nd = 1;
-        let mods = halflingLucky ? "r=1" : "";
+    const _roll = async (parts, adv, form) => {
 
         // Handle advantage
         if (adv === 1) {
-            nd = elvenAccuracy ? 3 : 2;
             messageData.flavor += ` (${game.i18n.localize("DND5E.Advantage")})`;
             if ("flags.dnd5e.roll" in messageData) messageData["flags.dnd5e.roll"].advantage = true;
-            mods += "kh";
         }
 
         // Handle disadvantage
         else if (adv === -1) {
-            nd = 2;
             messageData.flavor += ` (${game.i18n.localize("DND5E.Disadvantage")})`;
             if ("flags.dnd5e.roll" in messageData) messageData["flags.dnd5e.roll"].disadvantage = true;
-            mods += "kl";
         }
 
         // Prepend the d20 roll
-        let formula = `${nd}d20${mods}`;
-        if (reliableTalent) formula = `{${nd}d20${mods},10}kh`;
-        parts.unshift(formula);
+        parts.unshift(d20Formula(adv, { elvenAccuracy, halflingLucky, reliableTalent }));
 
         // Optionally include a situational bonus
         if (form) {
@@ -330,36 +1020,15 @@ async function d20RollFudge({ parts = [], data = {}, event = {}, rollMode = null
             }
         }
 
-        // Execute the roll
-
-
+        // Execute the roll, then set its dice to the faces which produce the target
+        let roll;
         try {
-            function recursiveRoll(parts, data, target) {
-
-                const mn = new Roll(parts.join(" + "), data).evaluate({ minmize: true }).total;
-                const mx = new Roll(parts.join(" + "), data).evaluate({ maximize: true }).total;
-
-                if (target > mx || target < mn) {
-                    return new Roll(parts.join(" + "), data).roll();
-                };
-
-
-                if (isNaN(target)) {
-                    let r = new Roll(parts.join(" + "), data).evaluate({ maximize: true });
-                    return r;
-                };
-                let r = new Roll(parts.join(" + "), data).roll();
-                if (r.total !== target) {
-                    r = recursiveRoll(parts, data, target);
-                };
-                return r;
-            };
-
-            var roll = recursiveRoll(parts, data, target);
-
+            roll = await evaluateRoll(new Roll(parts.join(" + "), data));
+            const flags = messageData["flags.dnd5e.roll"];
+            if (!_fudgeD20(roll, { target, outcome, targetValue, critical, fumble, speaker: messageData.speaker, flags })) return null;
         } catch (err) {
             console.error(err);
-            ui.notifications.error(`Dice roll evaluation failed: ${err.message}`);
+            ui.notifications.error(game.i18n.format("FUDGE.RollFailed", { error: err.message }));
             return null;
         }
 
@@ -380,8 +1049,8 @@ async function d20RollFudge({ parts = [], data = {}, event = {}, rollMode = null
     };
 
     // Create the Roll instance
-    const roll = fastForward ? _roll(parts, adv) :
-        await _d20RollDialog({ template, title, parts, data, target, rollMode: messageOptions.rollMode, dialogOptions, roll: _roll });
+    const roll = fastForward ? await _roll(parts, adv) :
+        await _d20RollDialog({ template, title, parts, data, rollMode: messageOptions.rollMode, dialogOptions, roll: _roll });
 
     // Create a Chat Message
     if (roll && chatMessage) roll.toMessage(messageData, messageOptions);
@@ -389,13 +1058,93 @@ async function d20RollFudge({ parts = [], data = {}, event = {}, rollMode = null
 };
 
 /**
- * Present a Dialog form which creates a d20 roll once submitted
- * @return {Promise<Roll>}
+ * Fudge an evaluated d20 roll to a target or an outcome, and record the fudge in the log
+ * @param {Roll} roll               An evaluated Roll instance, led by its d20 term
+ * @param {number|object} target    The total the roll should be fudged to, or bounds on it
+ * @param {string} outcome          A result to fudge the roll to instead of a target
+ * @param {number} targetValue      The AC or DC an outcome is judged against
+ * @param {number} critical         The lowest natural face which is a critical success
+ * @param {number} fumble           The highest natural face which is a critical failure
+ * @param {object} speaker          The speaker the roll is posted as
+ * @param {object} flags            The dnd5e roll flags of the posted roll
+ * @return {boolean}                False if the roll cannot be fudged as asked, after warning the user
  * @private
  */
-async function _d20RollDialog({ template, title, parts, data, target, rollMode, dialogOptions, roll } = {}) {
+function _fudgeD20(roll, { target = null, outcome = null, targetValue = null, critical = 20, fumble = 1, speaker, flags } = {}) {
+    const constraint = outcome ? outcomeConstraint(outcome, targetValue, critical, fumble) : targetConstraint(target);
+    if (!constraint) return true;
+    const honest = _rollSummary(roll);
+    const request = outcome ? _outcomeLabel(outcome) : _describeConstraint(constraint);
+    if (!fudgeToConstraint(roll, constraint)) {
+        const { min, max } = fudgeRange(roll);
+        ui.notifications.warn(game.i18n.format("FUDGE.CannotFudge", { formula: roll.formula, request, min, max }));
+        return false;
+    }
+    _recordFudge(honest, roll, { speaker, flags, request });
+    return true;
+};
 
-    // Render modal dialog
+/**
+ * Fudge an evaluated damage roll to a total, clamped to what its dice can reach, and record the fudge in the log
+ * @param {Roll} roll               An evaluated Roll instance
+ * @param {number} target           The total the roll should be fudged to, the roll stays honest if this is not a number
+ * @param {object} speaker          The speaker the roll is posted as
+ * @param {object} flags            The dnd5e roll flags of the posted roll
+ * @return {Roll}                   The same Roll instance
+ * @private
+ */
+function _fudgeDamage(roll, target, { speaker, flags } = {}) {
+    if (!Number.isInteger(target)) return roll;
+    const honest = _rollSummary(roll);
+    const { min, max } = fudgeRange(roll);
+    const total = Math.min(Math.max(target, min), max);
+    if (total !== target) {
+        ui.notifications.warn(game.i18n.format("FUDGE.DamageClamped", { target, formula: roll.formula, total }));
+    }
+    fudgeTotal(roll, total);
+    _recordFudge(honest, roll, { speaker, flags, request: _describeConstraint({ min: total, max: total }) });
+    return roll;
+};
+
+/**
+ * Make a roll through the dnd5e system's own roll method and dialog, then fudge it before it is posted
+ * Only used on dnd5e versions with the D20Roll class, whose roll methods hand back the roll unposted when asked.
+ * Dry runs build their formula themselves instead, since the system's roll methods fire hooks other modules act on,
+ * so a dry run asked of this hands back null without rolling.
+ * @param {Function} rollFn         Calls the system roll method with the given options, resolving to its Roll
+ * @param {object} speaker          The speaker the roll is posted as
+ * @param {object} flags            The dnd5e roll flags of the posted roll, whose type picks damage or d20 fudging
+ * @param {object} options          Options for the system roll method, along with the target or outcome of the fudge
+ * @return {Promise<Roll|null>}     The fudged Roll, or null if the roll was cancelled or cannot be fudged as asked
+ * @private
+ */
+async function _systemRollFudge(rollFn, { speaker, flags }, { target = null, outcome = null, targetValue = null,
+    dryRun = false, chatMessage = true, ...options } = {}) {
+    if (dryRun) return null;
+    if (options.rollMode === undefined) options.rollMode = _defaultRollMode();
+    const roll = await rollFn({ ...options, targetValue: targetValue ?? undefined, chatMessage: false });
+    if (!roll) return null;
+
+    if (flags.type === "damage") _fudgeDamage(roll, target, { speaker, flags });
+    else {
+        const d20 = roll.dice[0];
+        const fudge = { target, outcome, targetValue, critical: d20?.options.critical ?? 20, fumble: d20?.options.fumble ?? 1 };
+        if (!_fudgeD20(roll, { ...fudge, speaker, flags })) return null;
+    }
+    if (chatMessage) {
+        await roll.toMessage({ speaker, "flags.dnd5e.roll": flags, [`flags.${MODULE}.fudged`]: true }, { rollMode: roll.options.rollMode });
+    }
+    return roll;
+};
+
+/**
+ * Present a Dialog form which creates a d20 roll once submitted
+ * @return {Promise<Roll>}
+ * @private
+ */
+async function _d20RollDialog({ template, title, parts, data, rollMode, dialogOptions, roll } = {}) {
+
+    // Render modal dialog
     template = template || "systems/dnd5e/templates/chat/roll-dialog.html";
     let dialogData = {
         formula: parts.join(" + "),
@@ -414,15 +1163,15 @@ async function _d20RollDialog({ template, title, parts, data, target, rollMode,
             buttons: {
                 advantage: {
                     label: game.i18n.localize("DND5E.Advantage"),
-                    callback: html => resolve(roll(parts, 1, html[0].querySelector("form"), target))
+                    callback: html => resolve(roll(parts, 1, html[0].querySelector("form")))
                 },
                 normal: {
                     label: game.i18n.localize("DND5E.Normal"),
-                    callback: html => resolve(roll(parts, 0, html[0].querySelector("form"), target))
+                    callback: html => resolve(roll(parts, 0, html[0].querySelector("form")))
                 },
                 disadvantage: {
                     label: game.i18n.localize("DND5E.Disadvantage"),
-                    callback: html => resolve(roll(parts, -1, html[0].querySelector("form"), target))
+                    callback: html => resolve(roll(parts, -1, html[0].querySelector("form")))
                 }
             },
             default: "normal",
@@ -431,95 +1180,2027 @@ async function _d20RollDialog({ template, title, parts, data, target, rollMode,
     });
 };
 
-function lastItemID() {
-    const content = game.messages
-        .filter(message => message.data.content.includes(`dnd5e chat-card item-card`))
-        .pop().data.content;
-    const itemID = /data-item-id="(.*?)"/g.exec(content)[1];
-    return itemID;
-};
-
-let skills = `
-    <option value=acr>Acrobatics</option>,
-    <option value=ani>Animal Handling</option>,
-    <option value=arc>Arcana</option>,
-    <option value=ath>Athletics</option>,
-    <option value=dec>Deception</option>,
-    <option value=his>History</option>,
-    <option value=ins>Insight</option>,
-    <option value=inv>Investigation</option>,
-    <option value=itm>Intimidation</option>,
-    <option value=med>Medicine</option>,
-    <option value=nat>Nature</option>,
-    <option value=prc>Perception</option>,
-    <option value=prf>Performance</option>,
-    <option value=per>Persuasion</option>,
-    <option value=re>Religion</option>,
-    <option value=slt>Sleight of Hand</option>,
-    <option value=ste>Stealth</option>,
-    <option value=sur>Survival</option>
-`;
+/**
+ * A standardized helper function for managing core 5e "damage rolls"
+ *
+ * Holding SHIFT, ALT, or CTRL when the attack is rolled will "fast-forward".
+ * This chooses the default options of a normal attack with no bonus, Critical, or no bonus respectively
+ *
+ * @param {Array} parts             The dice roll component parts
+ * @param {Actor} actor             The Actor making the damage roll
+ * @param {Object} data             Actor or item data against which to parse the roll
+ * @param {Event|object}[event]     The triggering event which initiated the roll
+ * @param {string} rollMode         A specific roll mode to apply as the default for the resulting roll
+ * @param {String} template         The HTML template used to render the roll dialog
+ * @param {String} title            The dice roll UI window title
+ * @param {Object} speaker          The ChatMessage speaker to pass when creating the chat
+ * @param {string} flavor           Flavor text to use in the posted chat message
+ * @param {boolean} allowCritical   Allow the opportunity for a critical hit to be rolled
+ * @param {Boolean} critical        Flag this roll as a critical hit for the purposes of fast-forward rolls
+ * @param {number} criticalBonusDice  A number of bonus damage dice that are added for critical hits
+ * @param {number} criticalMultiplier  A critical hit multiplier which is applied to critical hits
+ * @param {Boolean} fastForward     Allow fast-forward advantage selection
+ * @param {Function} onClose        Callback for actions to take when the dialog form is closed
+ * @param {Object} dialogOptions    Modal dialog options
+ * @param {boolean} chatMessage     Automatically create a Chat Message for the result of this roll
+ * @param {object} messageData      Additional data which is applied to the created Chat Message, if any
+ * @param {number} target           The total the damage roll should be fudged to, clamped to what the dice can reach
+ *
+ * @return {Promise}                A Promise which resolves once the roll workflow has completed
+ */
+async function damageRollFudge({ parts, actor, data, event = {}, rollMode = null, template, title, speaker, flavor,
+    allowCritical = true, critical = false, criticalBonusDice = 0, criticalMultiplier = 2, fastForward = null,
+    dialogOptions = {}, chatMessage = true, messageData = {}, target = null } = {}) {
+
+    // Later dnd5e versions roll with their own DamageRoll class and dialog
+    messageData[`flags.${MODULE}.fudged`] = true;
+    const system = systemDice();
+    if (system) {
+        messageData.speaker = speaker || ChatMessage.getSpeaker();
+        const roll = await system.damageRoll({
+            parts, data, event, allowCritical, critical, criticalBonusDice, criticalMultiplier, fastForward, title, dialogOptions,
+            flavor: flavor || title, rollMode: rollMode || _defaultRollMode(), chatMessage: false
+        });
+        if (!roll) return null;
+        _fudgeDamage(roll, target, { speaker: messageData.speaker, flags: messageData["flags.dnd5e.roll"] });
+        if (chatMessage) await roll.toMessage(messageData, { rollMode: roll.options.rollMode });
+        return roll;
+    }
 
-let abilities = `
-    <option value=str>Strength</option>,
-    <option value=dex>Dexterity</option>,
-    <option value=con>Constitution</option>,
-    <option value=int>Intelligence</option>,
-    <option value=wis>Wisdom</option>,
-    <option value=cha>Charisma</option>,
-`;
+    // Prepare Message Data
+    messageData.flavor = flavor || title;
+    messageData.speaker = speaker || ChatMessage.getSpeaker();
+    const messageOptions = { rollMode: rollMode || _defaultRollMode() };
+    parts = parts.concat(["@bonus"]);
+    fastForward = fastForward ?? (event && (event.shiftKey || event.altKey || event.ctrlKey || event.metaKey));
 
-let dialogContent = `
-<div>
-    <label><input type="radio" id="skillRadio" name="rollType" value="skillCheck" checked> Skill Check</label>
-    <select id="skillSelect">${skills}</select>
-</div>
+    // Define inner roll function
+    const _roll = async function (parts, crit, form) {
 
-<div>
-    <label><input type="radio" id="abilityRadio" name="rollType" value="abilityCheck"> Ability Check</label>
-    <select id="abilitySelect">${abilities}</select>
-</div>
+        // Optionally include a situational bonus
+        if (form) {
+            data['bonus'] = form.bonus.value;
+            messageOptions.rollMode = form.rollMode.value;
+        }
+        if (!data["bonus"]) parts.pop();
 
-<div>
-    <label><input type="radio" id="saveRadio" name="rollType" value="savingThrow"> Saving Throw</label>
-    <select id="saveSelect">${abilities}</select>
-</div>
+        // Create the damage roll
+        let roll = new Roll(parts.join("+"), data);
 
-<div>
-    <label><input type="radio" id="attackRadio" name="rollType" value="attackRoll"> Attack Roll</label>
-</div>
+        // Modify the damage formula for critical hits
+        if (crit === true) {
+            roll.alter(criticalMultiplier, 0);      // Multiply all dice
+            if (isDie(roll.terms[0])) {             // Add bonus dice for only the main dice term
+                roll.terms[0].alter(1, criticalBonusDice);
+                roll._formula = roll.formula;
+            }
+            messageData.flavor += ` (${game.i18n.localize("DND5E.Critical")})`;
+            if ("flags.dnd5e.roll" in messageData) messageData["flags.dnd5e.roll"].critical = true;
+        }
 
-<div>
-    Target: <input id="target" type="number" style="width:50px" />
-</div>
-`;
+        // Execute the roll, then bend the dice towards the target
+        try {
+            await evaluateRoll(roll);
+            return _fudgeDamage(roll, target, { speaker: messageData.speaker, flags: messageData["flags.dnd5e.roll"] });
+        } catch (err) {
+            console.error(err);
+            ui.notifications.error(game.i18n.format("FUDGE.RollFailed", { error: err.message }));
+            return null;
+        }
+    };
+
+    // Create the Roll instance
+    const roll = fastForward ? await _roll(parts, critical || event.altKey) : await _damageRollDialog({
+        template, title, parts, data, allowCritical, rollMode: messageOptions.rollMode, dialogOptions, roll: _roll
+    });
 
+    // Create a Chat Message
+    if (roll && chatMessage) roll.toMessage(messageData, messageOptions);
+    return roll;
+};
 
-new Dialog({
-    title: "Fudge Roll",
-    content: dialogContent,
-    buttons: {
-        fudgeRoll: {
-            label: "Fudge Roll",
-            callback: async (html) => {
-                const tgt = parseInt(html.find("#target")[0].value);
-
-                if (html.find("#skillRadio")[0].checked) {
-                    const skillId = html.find("#skillSelect")[0].value;
-                    rollSkillFudge(skillId, { target: tgt });
-                } else if (html.find("#abilityRadio")[0].checked) {
-                    const abilityId = html.find("#abilitySelect")[0].value;
-                    rollAbilityTestFudge(abilityId, { target: tgt });
-                } else if (html.find("#saveRadio")[0].checked) {
-                    const abilityId = html.find("#saveSelect")[0].value;
-                    rollAbilitySaveFudge(abilityId, { target: tgt });
-                } else {
-                    const attackId = lastItemID();
-                    if (attackId) {
-                        rollAttackFudge(attackId, { target: tgt });
-                    };
-                };
-            }
+/**
+ * Present a Dialog form which creates a damage roll once submitted
+ * @return {Promise<Roll>}
+ * @private
+ */
+async function _damageRollDialog({ template, title, parts, data, allowCritical, rollMode, dialogOptions, roll } = {}) {
+
+    // Render modal dialog
+    template = template || "systems/dnd5e/templates/chat/roll-dialog.html";
+    let dialogData = {
+        formula: parts.join(" + "),
+        data: data,
+        rollMode: rollMode,
+        rollModes: CONFIG.Dice.rollModes
+    };
+    const html = await renderTemplate(template, dialogData);
+
+    // Create the Dialog window
+    return new Promise(resolve => {
+        new Dialog({
+            title: title,
+            content: html,
+            buttons: {
+                critical: {
+                    condition: allowCritical,
+                    label: game.i18n.localize("DND5E.CriticalHit"),
+                    callback: html => resolve(roll(parts, true, html[0].querySelector("form")))
+                },
+                normal: {
+                    label: game.i18n.localize(allowCritical ? "DND5E.Normal" : "DND5E.Roll"),
+                    callback: html => resolve(roll(parts, false, html[0].querySelector("form")))
+                },
+            },
+            default: "normal",
+            close: () => resolve(null)
+        }, dialogOptions).render(true);
+    });
+};
+
+/**
+ * Work out the chance that a Roll meets a fudge target or outcome, and where that target sits among its totals
+ * This is what a fudge would look like to a suspicious player: a result the dice rarely give is a result that stands out.
+ * @param {Roll} roll               The Roll a fudge would be applied to, evaluated here if it is not already
+ * @param {number|object} target    The total the roll would be fudged to, or bounds on it
+ * @param {string} outcome          A result the roll would be fudged to give instead of a total
+ * @param {number} targetValue      The AC or DC an outcome is judged against
+ * @return {Promise<{chance: number, percentile: number|null, reachable: boolean}|null>}
+ *                                  The odds, or null if there is nothing to fudge to or the formula cannot be modelled
+ */
+async function fudgeOdds(roll, { target = null, outcome = null, targetValue = null } = {}) {
+    if (!isEvaluated(roll)) await evaluateRoll(roll);
+    const constraints = outcome ? systemAdapter().outcomeConstraints(outcome, targetValue, roll) : [targetConstraint(target)];
+    if (!constraints?.[0]) return null;
+
+    // The ways an outcome can be reached never overlap, so their chances add up
+    let chance = 0;
+    for (let c of constraints) {
+        const p = constraintChance(roll, c);
+        if (p === null) return null;
+        chance += p;
+    }
+    const constraint = constraints[0];
+
+    // Place the targeted total within the distribution, counting half of the chance of rolling it exactly
+    let percentile = null;
+    const point = [constraint.min, constraint.max].find(Number.isFinite);
+    const dist = rollDistribution(roll);
+    if (!outcome && (point !== undefined) && dist) {
+        percentile = 0;
+        for (let [total, p] of dist) {
+            if (total < point) percentile += p;
+            else if (total === point) percentile += p / 2;
+        }
+        percentile *= 100;
+    }
+    return { chance, percentile, reachable: chance > 0 };
+};
+
+/**
+ * Arm a fudge which is applied to the next matching roll an actor makes, whichever client rolls it
+ * The fudge is kept on the actor and applied by the rolling client before the roll is posted, so the honest total is
+ * never shown and no GM needs to stay connected. Death saves cannot be armed, since dnd5e counts them from the honest roll.
+ * @param {Actor} actor             The actor whose roll should be fudged
+ * @param {string} type             The roll type, one of "skill", "ability", "save", "attack", "damage" or "tool"
+ * @param {string|null} key         The skill, ability or item id the roll must use, or null for any
+ * @param {string} label            A name for the roll shown in the pending fudges panel
+ * @param {number|object} target    The total the roll should be fudged to, or bounds on it
+ * @param {string} outcome          A result the roll should be fudged to give instead of a total
+ * @param {number} targetValue      The DC an outcome is judged against, attacks use the roller's targeted token
+ * @return {Promise<object|null>}   The armed fudge, or null if there was nothing to fudge to
+ */
+async function armFudge(actor, type, key, { label = type, target = null, outcome = null, targetValue = null } = {}) {
+    if (type === "death") {
+        ui.notifications.warn(game.i18n.localize("FUDGE.ArmDeath"));
+        return null;
+    }
+    const constraint = targetConstraint(target);
+    const damage = (type === "damage");
+    if (damage ? !Number.isInteger(target) : (!outcome && !constraint)) {
+        ui.notifications.warn(game.i18n.localize(damage ? "FUDGE.ArmNeedsDamage" : "FUDGE.ArmNeedsTarget"));
+        return null;
+    }
+    const fudge = {
+        id: randomID(),
+        actorId: actor.id,
+        actorName: actor.name,
+        type, key, label, target,
+        outcome: damage ? null : outcome,
+        targetValue: Number.isInteger(targetValue) ? targetValue : null,
+        result: (!damage && outcome) ? _outcomeLabel(outcome) : _describeConstraint(constraint)
+    };
+    await actor.setFlag(MODULE, "pendingFudges", _armedFudges(actor).concat([fudge]));
+    ui.notifications.info(game.i18n.format("FUDGE.Armed", { actor: actor.name, label, result: fudge.result }));
+    return fudge;
+};
+
+/**
+ * Cancel a pending fudge
+ * @param {string} id               The id of the armed fudge
+ * @return {Promise}
+ */
+async function disarmFudge(id) {
+    const rollActor = _armedActors().find(a => _armedFudges(a).some(f => f.id === id));
+    if (!rollActor) return;
+    return rollActor.setFlag(MODULE, "pendingFudges", _armedFudges(rollActor).filter(f => f.id !== id));
+};
+
+/**
+ * Get the fudges armed for an actor, in the order they were armed
+ * @param {Actor} actor             The actor
+ * @return {object[]}
+ * @private
+ */
+function _armedFudges(actor) {
+    return actor?.getFlag(MODULE, "pendingFudges") || [];
+};
+
+/**
+ * Get the actors with armed fudges, among those of the world and the unlinked tokens of the viewed scene
+ * @return {Actor[]}
+ * @private
+ */
+function _armedActors() {
+    const tokenActors = (canvas?.tokens?.placeables ?? []).map(t => t.actor).filter(a => _armedFudges(a).length);
+    return Array.from(new Set(game.actors.filter(a => _armedFudges(a).length).concat(tokenActors)));
+};
+
+/**
+ * Show the fudges armed for every actor, each of which can be cancelled
+ */
+function showPendingFudges() {
+    if (!game.user.isGM) {
+        return ui.notifications.warn(game.i18n.localize("FUDGE.PendingGMOnly"));
+    }
+    const fudges = _armedActors().flatMap(a => _armedFudges(a));
+    const rows = fudges.map(f => {
+        const entry = game.i18n.format("FUDGE.PendingEntry", { actor: f.actorName, label: f.label, result: f.result });
+        return `<li data-fudge-id="${f.id}">${entry} <a class="cancel-fudge">${game.i18n.localize("FUDGE.Cancel")}</a></li>`;
+    });
+    new Dialog({
+        title: game.i18n.localize("FUDGE.PendingFudges"),
+        content: fudges.length ? `<ol>${rows.join("")}</ol>` : `<p>${game.i18n.localize("FUDGE.NoPending")}</p>`,
+        buttons: {
+            close: { label: game.i18n.localize("FUDGE.Close") }
+        },
+        default: "close",
+        render: html => html.find(".cancel-fudge").click(async event => {
+            const li = event.currentTarget.closest("li");
+            await disarmFudge(li.dataset.fudgeId);
+            li.remove();
+        })
+    }).render(true);
+};
+
+/**
+ * Handle a chat message which is about to be created, applying an armed fudge to it or else any karma nudge
+ * Only the client which makes a roll sees it before it is posted, so everyone else only ever sees the fudged roll.
+ * Rolls this module has fudged itself are flagged as such, and are posted as they are.
+ * @param {ChatMessage|object} pending  The pending chat message, or its creation data on Foundry 0.7
+ * @private
+ */
+function _onPreCreateChatMessage(pending) {
+    const message = pendingMessage(pending);
+    const changes = _applyArmedFudge(message) ?? _applyKarma(message);
+    if (changes) updatePendingMessage(pending, changes);
+};
+
+/**
+ * The ids of the armed fudges this client has applied, which stay armed until the actor's flag update comes back
+ * @type {Set<string>}
+ * @private
+ */
+const _spentFudges = new Set();
+
+/**
+ * Fudge a system roll about to be posted if it matches a fudge armed for its actor, then disarm that fudge
+ * A fudge which cannot be applied is dropped, with a warning only when a GM made the roll. Rolls the module has
+ * fudged already are left alone, so that they neither show another result nor use up the armed fudge.
+ * @param {ChatMessage} message     The pending chat message
+ * @return {object|null}            The changes which fudge the message, which are empty if the armed fudge could not be
+ *                                  applied, or null if no fudge was armed for the roll
+ * @private
+ */
+function _applyArmedFudge(message) {
+    if (message.getFlag(MODULE, "fudged")) return null;
+    const flags = systemAdapter().rollFlags(message);
+    const rollActor = ChatMessage.getSpeakerActor(documentData(message).speaker);
+    if (!flags || !rollActor) return null;
+    const key = flags.key ?? null;
+    const fudges = _armedFudges(rollActor);
+    const fudge = fudges.find(f => !_spentFudges.has(f.id) && (f.type === flags.type) && (!f.key || (f.key === key)));
+    if (!fudge) return null;
+    _spentFudges.add(fudge.id);
+    rollActor.setFlag(MODULE, "pendingFudges", fudges.filter(f => f.id !== fudge.id)).catch(err => console.error(err));
+
+    // D20 rolls are judged against the armed DC, or the AC of the token the roller targeted
+    const changes = _fudgeMessage(message, {
+        target: fudge.target,
+        outcome: fudge.outcome,
+        targetValue: fudge.targetValue ?? targetAC(message.user),
+        request: fudge.result
+    });
+    if (!changes && game.user.isGM) {
+        ui.notifications.warn(game.i18n.format("FUDGE.ArmFailed", { actor: fudge.actorName, label: fudge.label, formula: messageRoll(message).formula }));
+    }
+    return changes ?? {};
+};
+
+/**
+ * Whether this client is the one GM client which writes players' fudge records, so that none is written twice
+ * @return {boolean}
+ * @private
+ */
+function _isActiveGM() {
+    const gm = game.users.activeGM ?? game.users.find(u => u.isGM && u.active);
+    return !!gm && (gm.id === game.user.id);
+};
+
+/**
+ * Read a comma separated list from a module setting
+ * @param {string} key              The setting key
+ * @return {string[]}               The trimmed, lower case entries
+ * @private
+ */
+function _settingList(key) {
+    return game.settings.get(MODULE, key).split(",").map(s => s.trim().toLowerCase()).filter(s => s);
+};
+
+/**
+ * Whether karma covers the rolls an actor makes through a user, as chosen in the module settings
+ * Without any names given, every actor a player owns is covered.
+ * @param {Actor} actor             The actor making the roll
+ * @param {User} user               The user who posted the roll
+ * @return {boolean}
+ * @private
+ */
+function _karmaCovers(actor, user) {
+    const names = _settingList("karmaCover");
+    if (!names.length) return actor.hasPlayerOwner;
+    return names.includes(actor.name.toLowerCase()) || names.includes(user?.name.toLowerCase());
+};
+
+/**
+ * The most recent natural d20 faces of each actor this client has posted, which are ahead of the actors' flags until
+ * the flag updates come back
+ * @type {Map<string, number[]>}
+ * @private
+ */
+const _karmaFaces = new Map();
+
+/**
+ * Quietly nudge a player's d20 roll up before it is posted, when the actor's recent natural d20 faces have been poor
+ * Once the actor has a full window of faces whose average falls below the threshold, the kept d20 is raised by the
+ * shortfall, up to the maximum nudge and never to a natural 20. The faces shown are remembered on the actor, nudged or
+ * not. Death saves are left alone, since dnd5e counts them from the honest roll, and so are rolls the module fudged.
+ * @param {ChatMessage} message     The pending chat message
+ * @return {object|null}            The changes which nudge the message, or null if it is posted as rolled
+ * @private
+ */
+function _applyKarma(message) {
+    if (!game.settings.get(MODULE, "karma") || game.user.isGM || message.getFlag(MODULE, "fudged")) return null;
+    const flags = systemAdapter().rollFlags(message);
+    const rollActor = ChatMessage.getSpeakerActor(documentData(message).speaker);
+    if (!flags || !rollActor || (flags.type === "death")) return null;
+    if (!_settingList("karmaRollTypes").includes(flags.type.toLowerCase()) || !_karmaCovers(rollActor, game.user)) return null;
+    const roll = messageRoll(message);
+    const d20 = roll.terms[0];
+    if (!isDie(d20) || (d20.faces !== 20)) return null;
+
+    const size = game.settings.get(MODULE, "karmaWindow");
+    const threshold = game.settings.get(MODULE, "karmaThreshold");
+    const recent = _karmaFaces.get(rollActor.id) ?? rollActor.getFlag(MODULE, "karmaHistory") ?? [];
+    const average = recent.reduce((sum, face) => sum + face, 0) / recent.length;
+    let face = d20.total;
+    let changes = null;
+    if ((recent.length >= size) && (average < threshold)) {
+        const nudge = Math.min(game.settings.get(MODULE, "karmaMaxNudge"), Math.ceil(threshold - average), 19 - face);
+        const total = roll.total + nudge;
+        const target = { min: total, max: total, natural: face + nudge };
+        if (nudge > 0) changes = _fudgeMessage(message, { target, request: game.i18n.format("FUDGE.RequestKarma", { nudge }) });
+        if (changes) face += nudge;
+    }
+    const history = recent.concat([face]).slice(-size);
+    _karmaFaces.set(rollActor.id, history);
+    rollActor.setFlag(MODULE, "karmaHistory", history).catch(err => console.error(err));
+    return changes;
+};
+
+/**
+ * Rewrite the roll of a posted system roll message in place, without posting a second message.
+ * The fudged roll keeps its dice options, so critical and fumble highlighting follow the new faces.
+ * @param {ChatMessage} message     The posted chat message
+ * @param {number|object} target    A damage total, or a total or {min, max, natural} constraint for a d20 roll
+ * @param {string} outcome          An outcome of the game system's adapter to use instead of a target
+ * @param {number} targetValue      The DC or AC an outcome is judged against
+ * @param {string} request          How the fudge is described in the fudge log
+ * @return {Promise<boolean>}       Whether the roll could be fudged
+ */
+async function fudgePostedRoll(message, { target = null, outcome = null, targetValue = null, request } = {}) {
+    const changes = _fudgeMessage(message, { target, outcome, targetValue, request });
+    if (!changes) return false;
+    if (Object.keys(changes).length) await message.update(changes);
+    return true;
+};
+
+/**
+ * Fudge the roll a chat message carries and build the update which shows the fudged roll in its place
+ * The message itself is left untouched, so the update can be applied to a posted message or to one about to be posted.
+ * A roll which already meets the fudge is left as it is and not recorded. Damage out of reach is clamped to what the
+ * dice can reach, with a warning for a GM; a player's client says nothing, since the player should not know of the fudge.
+ * @param {ChatMessage} message     The chat message
+ * @param {number|object} target    A damage total, or a total or {min, max, natural} constraint for a d20 roll
+ * @param {string} outcome          An outcome of the game system's adapter to use instead of a target
+ * @param {number} targetValue      The DC or AC an outcome is judged against
+ * @param {string} request          How the fudge is described in the fudge log
+ * @return {object|null}            The changes to the message, which are empty if the roll already met the fudge, or
+ *                                  null if the roll could not be fudged
+ * @private
+ */
+function _fudgeMessage(message, { target = null, outcome = null, targetValue = null, request } = {}) {
+    const adapter = systemAdapter();
+    const flags = adapter.rollFlags(message) || {};
+    const roll = messageRoll(message);
+    const honest = _rollSummary(roll);
+
+    // Damage is clamped to what the dice can reach, like any other damage fudge
+    if (flags.type === "damage") {
+        if (!Number.isInteger(target)) return null;
+        const { min, max } = fudgeRange(roll);
+        const total = Math.min(Math.max(target, min), max);
+        if ((total !== target) && game.user.isGM) {
+            ui.notifications.warn(game.i18n.format("FUDGE.DamageClamped", { target, formula: roll.formula, total }));
         }
+        fudgeTotal(roll, total);
+    }
+
+    // D20 rolls meet a target, or an outcome against the given DC or AC
+    else {
+        const constraints = outcome ? adapter.outcomeConstraints(outcome, targetValue, roll) : [targetConstraint(target)];
+        if (!constraints?.[0] || !fudgeToConstraints(roll, constraints)) return null;
+        request = request ?? (outcome ? _outcomeLabel(outcome) : _describeConstraint(constraints[0]));
+    }
+    if (JSON.stringify(_rollSummary(roll)) === JSON.stringify(honest)) return {};
+    _recordFudge(honest, roll, { speaker: documentData(message).speaker, flags, request: request ?? roll.total });
+    return { ...messageRollUpdate(roll), ...adapter.messageUpdate?.(message, roll) };
+};
+
+/**
+ * Add a GM-only "Fudge this roll" entry to the context menu of rolls posted by the game system
+ * @param {jQuery} html             The chat log
+ * @param {object[]} options        The context menu entries
+ * @private
+ */
+function _chatLogEntryContext(html, options) {
+    options.push({
+        name: "FUDGE.FudgeThisRoll",
+        icon: '<i class="fas fa-dice-d20"></i>',
+        condition: li => {
+            const message = game.messages.get(li.data("messageId"));
+            return game.user.isGM && !!message && !!systemAdapter().rollFlags(message);
+        },
+        callback: li => showRewriteDialog(game.messages.get(li.data("messageId")))
+    });
+};
+
+/**
+ * Open the fudge dialog for a posted system roll, filled in with its roll type, formula, advantage and speaker
+ * @param {ChatMessage} message     The posted chat message
+ */
+function showRewriteDialog(message) {
+    const adapter = systemAdapter();
+    const flags = adapter.rollFlags(message);
+    const roll = messageRoll(message);
+    const d20 = roll.dice[0];
+    const advantage = (d20?.modifiers || []).find(m => /^k[hl]/.test(m));
+    const mode = game.i18n.localize(!advantage ? "FUDGE.Normal" : advantage.startsWith("kh") ? "FUDGE.Advantage" : "FUDGE.Disadvantage");
+    const speaker = documentData(message).speaker.alias || message.user.name;
+    const targetValue = flags.targetValue ?? roll.options?.targetValue ?? d20?.options.target
+        ?? ((flags.type === "attack") ? targetAC(message.user) : adapter.lastDC());
+    const summary = (flags.type === "damage") ? `${roll.formula} (${roll.total})` : `${roll.formula}, ${mode} (${roll.total})`;
+    new Dialog({
+        title: game.i18n.localize("FUDGE.FudgeThisRoll"),
+        content: `
+<p><strong>${speaker}</strong>: ${game.i18n.format("FUDGE.RewriteSummary", { type: rollTypeLabel(flags.type), summary })}</p>
+${targetFields(targetValue, adapter)}
+`,
+        buttons: {
+            fudgeRoll: {
+                label: game.i18n.localize("FUDGE.FudgeRoll"),
+                callback: async (html) => {
+                    const { value, tgt, outcome, dc } = readFudge(html);
+                    const damage = (flags.type === "damage");
+                    const fudged = await fudgePostedRoll(message, {
+                        target: damage ? value : tgt,
+                        outcome: damage ? null : outcome,
+                        targetValue: dc
+                    });
+                    if (!fudged) ui.notifications.warn(game.i18n.format("FUDGE.CannotFudgeThat", { formula: roll.formula }));
+                }
+            },
+            cancel: { label: game.i18n.localize("FUDGE.Cancel") }
+        },
+        default: "fudgeRoll"
+    }).render(true);
+};
+
+/**
+ * Summarize a Roll for the fudge log, before or after it is fudged
+ * @param {Roll} roll               An evaluated Roll instance
+ * @return {{total: number, dice: number[][]}}
+ * @private
+ */
+function _rollSummary(roll) {
+    return {
+        total: roll.total,
+        dice: roll.dice.map(d => d.results.filter(r => r.active).map(r => r.result))
+    };
+};
+
+/**
+ * Record a fudged roll next to the honest roll it replaced, in a journal entry only the GM can see
+ * A player's client, which applies the fudges armed for its rolls, sends the record to the active GM to write.
+ * @param {{total: number, dice: number[][]}} honest  The summary of the roll as it was honestly rolled
+ * @param {Roll} roll               The fudged Roll instance
+ * @param {object} speaker          The ChatMessage speaker of the roll
+ * @param {object} flags            The roll flags of the roll, if any
+ * @param {string} request          What the roll was fudged to, in words
+ * @return {Promise}
+ * @private
+ */
+function _recordFudge(honest, roll, { speaker, flags = {}, request } = {}) {
+    const rollActor = ChatMessage.getSpeakerActor(speaker);
+    const fudged = _rollSummary(roll);
+    const record = {
+        id: randomID(),
+        timestamp: Date.now(),
+        actorId: rollActor?.id ?? null,
+        actorName: rollActor?.name ?? speaker?.alias ?? "",
+        type: flags?.type ?? "roll",
+        key: flags?.key ?? flags?.skillId ?? flags?.abilityId ?? flags?.itemId ?? null,
+        formula: roll.formula,
+        request,
+        honest: honest.total,
+        fudged: fudged.total,
+        honestDice: honest.dice,
+        fudgedDice: fudged.dice
+    };
+    if (!game.user.isGM) return game.socket.emit(`module.${MODULE}`, { action: "recordFudge", record });
+    return _writeFudgeRecord(record);
+};
+
+/**
+ * Add a record to the fudge log
+ * Records are written one at a time, so rolls made in quick succession do not overwrite each other.
+ * @param {object} record           The record, as built by _recordFudge
+ * @return {Promise}
+ * @private
+ */
+function _writeFudgeRecord(record) {
+    window.fudgeRollLogQueue = (window.fudgeRollLogQueue || Promise.resolve()).then(async () => {
+        const entry = await _fudgeLogEntry();
+        const records = entry.getFlag("world", "fudgeLog") || [];
+        return entry.setFlag("world", "fudgeLog", records.concat([record]));
+    }).catch(err => console.error(err));
+    return window.fudgeRollLogQueue;
+};
+
+/**
+ * Handle a message sent over the module's socket, where players' clients send the active GM their fudge records
+ * @param {object} data             The message, with its "action" and the "record" to write
+ * @private
+ */
+function _onSocketMessage({ action, record } = {}) {
+    if ((action === "recordFudge") && _isActiveGM()) _writeFudgeRecord(record);
+};
+
+/**
+ * Get the journal entry which holds the fudge log, creating it hidden from players if needed
+ * @return {Promise<JournalEntry>}
+ * @private
+ */
+async function _fudgeLogEntry() {
+    const entry = journalEntries().find(j => j.getFlag("world", "fudgeLog"));
+    if (entry) return entry;
+    return JournalEntry.create({
+        name: game.i18n.localize("FUDGE.FudgeLog"),
+        content: `<p>${game.i18n.localize("FUDGE.LogEntryContent")}</p>`,
+        ...hiddenPermission(),
+        flags: { world: { fudgeLog: [] } }
+    });
+};
+
+/**
+ * Get the recorded fudges, optionally filtered by actor name and roll type
+ * @param {string} actorName        Part of the name of the actor who rolled
+ * @param {string} type             The roll type, such as "skill" or "damage"
+ * @return {object[]}
+ */
+function fudgeLog({ actorName = "", type = "" } = {}) {
+    const entry = journalEntries().find(j => j.getFlag("world", "fudgeLog"));
+    const records = entry?.getFlag("world", "fudgeLog") || [];
+    return records.filter(r => {
+        if (actorName && !r.actorName.toLowerCase().includes(actorName.toLowerCase())) return false;
+        return !type || (r.type === type);
+    });
+};
+
+/**
+ * Save recorded fudges to a file
+ * @param {object[]} records        The records to export
+ * @param {string} format           Either "json" or "csv"
+ */
+function exportFudgeLog(records, format = "json") {
+    if (format === "json") {
+        return saveDataToFile(JSON.stringify(records, null, 2), "application/json", "fudge-log.json");
     }
-}).render(true);
\ No newline at end of file
+    const columns = ["timestamp", "actorName", "type", "key", "formula", "request", "honest", "fudged"];
+    const cell = v => `"${String(v ?? "").replace(/"/g, '""')}"`;
+    const rows = records.map(r => columns.map(c => cell(c === "timestamp" ? new Date(r.timestamp).toISOString() : r[c])).join(","));
+    saveDataToFile([columns.join(",")].concat(rows).join("\n"), "text/csv", "fudge-log.csv");
+};
+
+/**
+ * Post an honest-versus-fudged summary of recorded fudges to chat, for everyone to see
+ * @param {object[]} records        The records to reveal
+ * @return {Promise<ChatMessage>}
+ */
+function revealFudges(records) {
+    const rows = records.map(r => {
+        const roll = `${rollTypeLabel(r.type)}${r.key ? ` (${r.key})` : ""}`;
+        return `<li><strong>${r.actorName}</strong> ${game.i18n.format("FUDGE.RevealEntry", { roll, honest: r.honest, fudged: r.fudged })}</li>`;
+    });
+    return ChatMessage.create({
+        user: game.user.id,
+        speaker: ChatMessage.getSpeaker(),
+        flavor: game.i18n.localize("FUDGE.RevealTitle"),
+        content: records.length ? `<ol>${rows.join("")}</ol>` : `<p>${game.i18n.localize("FUDGE.RevealNone")}</p>`
+    });
+};
+
+/**
+ * Show the fudge log, which can be filtered, exported or revealed to the table
+ */
+function showFudgeLog() {
+    if (!game.user.isGM) {
+        return ui.notifications.warn(game.i18n.localize("FUDGE.LogGMOnly"));
+    }
+    const types = Array.from(new Set(fudgeLog().map(r => r.type))).map(t => `<option value="${t}">${rollTypeLabel(t)}</option>`);
+    const table = records => records.map(r => `<tr>
+        <td>${new Date(r.timestamp).toLocaleString()}</td><td>${r.actorName}</td><td>${rollTypeLabel(r.type)}${r.key ? ` (${r.key})` : ""}</td>
+        <td>${r.request}</td><td>${r.honest}</td><td>${r.fudged}</td>
+    </tr>`).join("");
+    const filters = html => ({ actorName: html.find("#logActor")[0].value, type: html.find("#logType")[0].value });
+    const content = `
+    <div>
+        ${game.i18n.localize("FUDGE.LogActor")}: <input id="logActor" type="text" style="width:120px" />
+        ${game.i18n.localize("FUDGE.LogType")}: <select id="logType"><option value="">${game.i18n.localize("FUDGE.LogAll")}</option>${types.join("")}</select>
+    </div>
+    <table>
+        <thead><tr>
+            <th>${game.i18n.localize("FUDGE.LogTime")}</th><th>${game.i18n.localize("FUDGE.LogActor")}</th><th>${game.i18n.localize("FUDGE.LogRoll")}</th>
+            <th>${game.i18n.localize("FUDGE.LogRequest")}</th><th>${game.i18n.localize("FUDGE.LogHonest")}</th><th>${game.i18n.localize("FUDGE.LogShown")}</th>
+        </tr></thead>
+        <tbody id="logRows">${table(fudgeLog())}</tbody>
+    </table>
+    `;
+    new Dialog({
+        title: game.i18n.localize("FUDGE.FudgeLog"),
+        content: content,
+        buttons: {
+            json: {
+                label: game.i18n.localize("FUDGE.ExportJSON"),
+                callback: html => exportFudgeLog(fudgeLog(filters(html)), "json")
+            },
+            csv: {
+                label: game.i18n.localize("FUDGE.ExportCSV"),
+                callback: html => exportFudgeLog(fudgeLog(filters(html)), "csv")
+            },
+            reveal: {
+                label: game.i18n.localize("FUDGE.Reveal"),
+                callback: html => revealFudges(fudgeLog(filters(html)))
+            }
+        },
+        render: html => html.find("#logActor, #logType").on("input change", () => {
+            html.find("#logRows").html(table(fudgeLog(filters(html))));
+        })
+    }, { width: 600 }).render(true);
+};
+
+/**
+ * Get the fudge presets saved in this world
+ * @return {object[]}
+ */
+function fudgePresets() {
+    return game.settings.get(MODULE, "presets") || [];
+};
+
+/**
+ * Save a named fudge preset to this world, replacing any preset of the same name
+ * A replaced preset keeps its id, so hotbar macros made from it run the new settings.
+ * @param {string} name             The name of the preset, such as "Boss fails Wis save"
+ * @param {string} type             The roll type, as taken by rollFudge
+ * @param {string|null} key         The skill, ability, save, item, tool or hit die the roll uses, or the formula rolled
+ * @param {Actor|null} actor        The actor the preset always rolls for, or null to roll for the selected token
+ * @param {number|object} target    The total the roll should be fudged to, or bounds on it
+ * @param {string} outcome          A result the roll should be fudged to give instead of a target
+ * @param {number} targetValue      The DC an outcome is judged against
+ * @param {string|null} rollMode    A specific roll mode for the posted roll, or null for the default
+ * @param {object} options          Further roll options, such as versatile or consumeSlot
+ * @return {Promise<object>}        The saved preset
+ */
+async function savePreset(name, type, key, { actor = null, target = null, outcome = null, targetValue = null, rollMode = null,
+    options = {} } = {}) {
+    const presets = fudgePresets();
+    const preset = {
+        id: presets.find(p => p.name === name)?.id ?? randomID(),
+        name, type, key,
+        actorId: actor?.id ?? null,
+        target, outcome,
+        targetValue: Number.isInteger(targetValue) ? targetValue : null,
+        rollMode: rollMode || null,
+        options
+    };
+    await game.settings.set(MODULE, "presets", presets.filter(p => p.name !== name).concat([preset]));
+    ui.notifications.info(game.i18n.format("FUDGE.PresetSaved", { name }));
+    return preset;
+};
+
+/**
+ * Delete a fudge preset
+ * @param {string} id               The id of the preset
+ * @return {Promise}
+ */
+async function deletePreset(id) {
+    return game.settings.set(MODULE, "presets", fudgePresets().filter(p => p.id !== id));
+};
+
+/**
+ * Run a fudge preset, fast-forwarding the roll so that no roll dialog is shown
+ * @param {string} id               The id or name of the preset
+ * @param {Actor} actor             The actor to roll for instead of the preset's own, or the selected token's
+ * @return {Promise<Roll|null>}     The created Roll instance, or null if the roll could not be made
+ */
+async function runPreset(id, { actor = null } = {}) {
+    const preset = fudgePresets().find(p => (p.id === id) || (p.name === id));
+    if (!preset) {
+        ui.notifications.warn(game.i18n.format("FUDGE.PresetMissing", { name: id }));
+        return null;
+    }
+    const rollActor = actor ?? (preset.actorId ? game.actors.get(preset.actorId) : _defaultActor());
+    if (!rollActor) {
+        ui.notifications.warn(game.i18n.format("FUDGE.PresetNeedsToken", { name: preset.name }));
+        return null;
+    }
+    const { target, outcome, targetValue, rollMode } = preset;
+    return rollFudge(rollActor, preset.type, preset.key, { ...preset.options, target, outcome, targetValue, rollMode, fastForward: true });
+};
+
+/**
+ * Put a script macro which runs a fudge preset into the first free slot of the hotbar
+ * The macro of a preset is reused if it exists already.
+ * @param {string} id               The id of the preset
+ * @return {Promise<Macro|null>}    The macro
+ */
+async function presetMacro(id) {
+    const preset = fudgePresets().find(p => p.id === id);
+    if (!preset) return null;
+    const command = `game.modules.get("${MODULE}").api.runPreset("${preset.id}");`;
+    const macro = game.macros.find(m => documentData(m).command === command) ?? await Macro.create({
+        name: preset.name,
+        type: "script",
+        img: "icons/svg/d20-highlight.svg",
+        command
+    });
+    await game.user.assignHotbarMacro(macro);
+    return macro;
+};
+
+/**
+ * Show the fudge presets of this world, each of which can be run, put on the hotbar or deleted
+ */
+function showPresets() {
+    if (!game.user.isGM) {
+        return ui.notifications.warn(game.i18n.localize("FUDGE.PresetsGMOnly"));
+    }
+    const presets = fudgePresets();
+    const rows = presets.map(p => {
+        const actions = ["Run", "Macro", "Delete"]
+            .map(action => `<a class="preset-${action.toLowerCase()}">${game.i18n.localize(`FUDGE.Preset${action}`)}</a>`);
+        return `<li data-preset-id="${p.id}">${p.name} ${actions.join(" ")}</li>`;
+    });
+    new Dialog({
+        title: game.i18n.localize("FUDGE.Presets"),
+        content: presets.length ? `<ol>${rows.join("")}</ol>` : `<p>${game.i18n.localize("FUDGE.NoPresets")}</p>`,
+        buttons: {
+            close: { label: game.i18n.localize("FUDGE.Close") }
+        },
+        default: "close",
+        render: html => {
+            const presetId = event => event.currentTarget.closest("li").dataset.presetId;
+            html.find(".preset-run").click(event => runPreset(presetId(event)));
+            html.find(".preset-macro").click(event => presetMacro(presetId(event)));
+            html.find(".preset-delete").click(async event => {
+                await deletePreset(presetId(event));
+                event.currentTarget.closest("li").remove();
+            });
+        }
+    }).render(true);
+};
+
+/**
+ * Ask for the name and roll mode of a new fudge preset, then save it
+ * @param {Actor} actor             The actor the Fudge Roll dialog was opened for
+ * @param {string} type             The roll type
+ * @param {string|null} key         The skill, ability, save, item, tool or hit die the roll uses, or the formula rolled
+ * @param {object} fudge            The target, outcome, targetValue and options of the fudge
+ */
+function showSavePreset(actor, type, key, fudge) {
+    const rollModes = Object.entries(rollModeLabels())
+        .map(([mode, label]) => `<option value="${mode}">${game.i18n.localize(label)}</option>`);
+    new Dialog({
+        title: game.i18n.localize("FUDGE.SavePreset"),
+        content: `
+<div>
+    ${game.i18n.localize("FUDGE.PresetName")}: <input id="presetName" type="text" placeholder="${game.i18n.localize("FUDGE.PresetPlaceholder")}" />
+</div>
+<div>
+    ${game.i18n.localize("FUDGE.RollMode")}: <select id="presetRollMode">
+        <option value="">${game.i18n.localize("FUDGE.DefaultRollMode")}</option>
+        ${rollModes.join("")}
+    </select>
+</div>
+<div>
+    <label><input type="checkbox" id="presetActor" checked> ${game.i18n.format("FUDGE.PresetActor", { actor: actor.name })}</label>
+</div>
+`,
+        buttons: {
+            save: {
+                label: game.i18n.localize("FUDGE.SavePreset"),
+                callback: html => {
+                    const name = html.find("#presetName")[0].value.trim();
+                    if (!name) return ui.notifications.warn(game.i18n.localize("FUDGE.PresetNeedsName"));
+                    savePreset(name, type, key, {
+                        ...fudge,
+                        actor: html.find("#presetActor")[0].checked ? actor : null,
+                        rollMode: html.find("#presetRollMode")[0].value
+                    });
+                }
+            },
+            cancel: { label: game.i18n.localize("FUDGE.Cancel") }
+        },
+        default: "save"
+    }).render(true);
+};
+
+/**
+ * Build the options of the item select, grouping the actor's weapons, spells and features which attack or deal damage
+ * @param {Actor} actor             The actor whose items are offered
+ * @return {string}                 The <optgroup> markup, with the item of the last attack or damage roll selected
+ */
+function itemOptions(actor) {
+    const groups = { weapon: "DND5E.ItemTypeWeaponPl", spell: "DND5E.ItemTypeSpellPl", feat: "DND5E.ItemTypeFeatPl" };
+    const selected = dnd5eAdapter.lastItemId();
+    return Object.entries(groups).map(([type, label]) => {
+        const items = actor.items.filter(i => (documentData(i).type === type) && (i.hasAttack || i.hasDamage));
+        if (!items.length) return "";
+        const options = items.map(i => `<option value=${i.id}${i.id === selected ? " selected" : ""}>${i.name}</option>`);
+        return `<optgroup label="${game.i18n.localize(label)}">${options.join("")}</optgroup>`;
+    }).join("");
+};
+
+/**
+ * Build the options of the tool select from the actor's tools
+ * @param {Actor} actor             The actor whose tools are offered
+ * @return {string}
+ */
+function toolOptions(actor) {
+    return actor.itemTypes.tool.map(i => `<option value=${i.id}>${i.name}</option>`).join("");
+};
+
+/**
+ * Build the options of the hit die select from the denominations the actor has unspent hit dice of
+ * @param {Actor} actor             The actor whose classes are looked at
+ * @return {string}
+ */
+function hitDieOptions(actor) {
+    const denominations = actor.itemTypes.class
+        .filter(c => (systemData(c).hitDiceUsed || 0) < (systemData(c).levels || 1))
+        .map(c => systemData(c).hitDice);
+    return Array.from(new Set(denominations)).map(d => `<option value=${d}>${d}</option>`).join("");
+};
+
+/**
+ * Get the armor class of the first token a user targets, which attack outcomes are judged against
+ * @param {User} user               The user whose targets are looked at
+ * @return {number|null}            The armor class, or null if nothing with one is targeted
+ */
+function targetAC(user = game.user) {
+    const token = user.targets.values().next().value;
+    return token?.actor ? (systemData(token.actor).attributes?.ac?.value ?? null) : null;
+};
+
+/**
+ * Build the target and outcome fields of the Fudge Roll dialog
+ * @param {number|null} dc          The DC to fill in, such as the one of the last chat card
+ * @param {object} adapter          The adapter of the game system, which names its outcomes
+ * @return {string}
+ */
+function targetFields(dc, adapter = systemAdapter()) {
+    const outcomes = Object.entries(adapter.outcomes)
+        .map(([outcome, label]) => `<option value="${outcome}">${game.i18n.localize(label)}</option>`);
+    return `
+<div>
+    ${game.i18n.localize("FUDGE.Target")}: <select id="targetType">
+        <option value="exact">${game.i18n.localize("FUDGE.TargetExact")}</option>
+        <option value="atLeast">${game.i18n.localize("FUDGE.TargetAtLeast")}</option>
+        <option value="atMost">${game.i18n.localize("FUDGE.TargetAtMost")}</option>
+        <option value="between">${game.i18n.localize("FUDGE.TargetBetween")}</option>
+        <option value="natural">${game.i18n.localize("FUDGE.TargetNatural")}</option>
+    </select>
+    <input id="target" type="number" style="width:50px" />
+    ${game.i18n.localize("FUDGE.TargetAnd")} <input id="targetMax" type="number" style="width:50px" />
+</div>
+
+<div>
+    ${game.i18n.localize("FUDGE.Outcome")}: <select id="outcomeSelect">
+        <option value="">${game.i18n.localize("FUDGE.OutcomeNone")}</option>
+        ${outcomes.join("")}
+    </select>
+    ${game.i18n.localize("FUDGE.DC")}: <input id="dc" type="number" style="width:50px" value="${dc ?? ""}" />
+</div>
+`;
+};
+
+/**
+ * Write a modifier with its sign, such as +3 or -1
+ * @param {number} mod
+ * @return {string}
+ */
+function signedMod(mod) {
+    return (mod >= 0) ? `+${mod}` : `${mod}`;
+};
+
+/**
+ * Build the options of the skill select from the system's skills, custom ones included, which the actor has
+ * @param {Actor} actor             The actor whose modifiers and proficiencies are shown beside each skill
+ * @return {string}                 The options, sorted by their localized names
+ */
+function skillOptions(actor) {
+    const skills = Object.entries(CONFIG.DND5E.skills)
+        .filter(([id]) => systemData(actor).skills?.[id])
+        .map(([id, label]) => [id, configLabel(label)])
+        .sort((a, b) => a[1].localeCompare(b[1], game.i18n.lang));
+    return skills.map(([id, label]) => {
+        const skl = systemData(actor).skills[id];
+        const mod = skl.total ?? (skl.mod + skl.prof);
+        const proficiency = game.i18n.localize(CONFIG.DND5E.proficiencyLevels[skl.value] ?? "");
+        return `<option value=${id}>${label} (${signedMod(mod)}, ${proficiency})</option>`;
+    }).join("");
+};
+
+/**
+ * Build the options of the ability or save select from the system's abilities which the actor has
+ * @param {Actor} actor             The actor whose modifiers are shown beside each ability
+ * @param {boolean} save            Whether the options are for saves, which also show the actor's proficiency
+ * @return {string}
+ */
+function abilityOptions(actor, save = false) {
+    return Object.entries(CONFIG.DND5E.abilities)
+        .filter(([id]) => systemData(actor).abilities?.[id])
+        .map(([id, label]) => {
+            const abl = systemData(actor).abilities[id];
+            if (!save) return `<option value=${id}>${configLabel(label)} (${signedMod(abl.mod)})</option>`;
+            const proficiency = game.i18n.localize(CONFIG.DND5E.proficiencyLevels[abl.proficient]);
+            return `<option value=${id}>${configLabel(label)} (${signedMod(abl.save ?? abl.mod)}, ${proficiency})</option>`;
+        }).join("");
+};
+
+/**
+ * Build the content of the Fudge Roll dialog, with a section for each roll type the game system offers
+ * @param {Actor} actor             The actor the dialog is opened for
+ * @param {object} adapter          The adapter of the game system
+ * @return {string}
+ */
+function dialogContent(actor, adapter = systemAdapter()) {
+    const offers = (...types) => types.some(t => adapter.rollTypes.includes(t));
+    const radio = type => !offers(type) ? "" : `<label><input type="radio" name="rollType" value="${type}"`
+        + `${type === adapter.rollTypes[0] ? " checked" : ""}> ${rollTypeLabel(type)}</label>`;
+    const section = (types, markup) => offers(...types) ? `<div>${markup}</div>` : "";
+
+    // The chain belongs to the attack, and is only offered where damage can be rolled
+    const chain = offers("damage") ? `<div>
+    <label><input type="checkbox" id="chainCheck"> ${game.i18n.localize("FUDGE.Chain")}</label>
+    ${game.i18n.localize("FUDGE.ChainDamage")}: <input id="chainDamage" type="number" style="width:50px" />
+    ${game.i18n.localize("FUDGE.LeaveAt")}: <input id="leaveAt" type="number" style="width:50px" />
+    ${game.i18n.localize("FUDGE.Concentration")}: <select id="concentrationOutcome">
+        <option value="">${game.i18n.localize("FUDGE.ConcentrationHonest")}</option>
+        <option value="success">${game.i18n.localize("FUDGE.ConcentrationKeep")}</option>
+        <option value="failure">${game.i18n.localize("FUDGE.ConcentrationLose")}</option>
+    </select>
+</div>` : "";
+    return `
+${section(["skill"], `
+    ${radio("skill")}
+    <select id="skillSelect">${adapter.skillOptions(actor)}</select>
+`)}
+${section(["ability"], `
+    ${radio("ability")}
+    <select id="abilitySelect">${adapter.abilityOptions(actor)}</select>
+`)}
+${section(["save"], `
+    ${radio("save")}
+    <select id="saveSelect">${adapter.saveOptions(actor)}</select>
+`)}
+${section(["attack"], `
+    ${radio("attack")}
+    ${chain}
+`)}
+${section(["damage"], `
+    ${radio("damage")}
+    <label><input type="checkbox" id="versatileCheck"> ${game.i18n.localize("FUDGE.Versatile")}</label>
+`)}
+${section(["attack", "damage"], `
+    ${game.i18n.localize("FUDGE.Item")}: <select id="itemSelect">${adapter.itemOptions(actor)}</select>
+    ${adapter.consumesSlots ? `<label><input type="checkbox" id="slotCheck"> ${game.i18n.localize("FUDGE.ConsumeSlot")}</label>` : ""}
+`)}
+${section(["tool"], `
+    ${radio("tool")}
+    <select id="toolSelect">${toolOptions(actor)}</select>
+`)}
+${section(["initiative", "death"], `
+    ${radio("initiative")}
+    ${radio("death")}
+`)}
+${section(["hitDie"], `
+    ${radio("hitDie")}
+    <select id="hitDieSelect">${hitDieOptions(actor)}</select>
+`)}
+${section(["formula"], `
+    ${radio("formula")}
+    <input id="formula" type="text" style="width:120px" placeholder="2d10+4" />
+`)}
+${targetFields(adapter.lastDC(), adapter)}
+
+<div>
+    <label><input type="checkbox" id="groupCheck"> ${game.i18n.localize("FUDGE.GroupCheck")}</label>
+    <select id="groupMode">
+        <option value="shared">${game.i18n.localize("FUDGE.GroupShared")}</option>
+        <option value="each">${game.i18n.localize("FUDGE.GroupEach")}</option>
+        <option value="split">${game.i18n.localize("FUDGE.GroupSplit")}</option>
+    </select>
+    ${game.i18n.localize("FUDGE.GroupPasses")}: <input id="groupPasses" type="number" style="width:50px" />
+    <label><input type="checkbox" id="groupCombine" checked> ${game.i18n.localize("FUDGE.GroupCombine")}</label>
+</div>
+
+<div>
+    ${game.i18n.localize("FUDGE.OddsFor")}: <select id="oddsAdvantage">
+        <option value="normal">${game.i18n.localize("FUDGE.Normal")}</option>
+        <option value="advantage">${game.i18n.localize("FUDGE.Advantage")}</option>
+        <option value="disadvantage">${game.i18n.localize("FUDGE.Disadvantage")}</option>
+    </select>
+    <span id="odds"></span>
+</div>
+`;
+};
+
+/**
+ * Read the target and outcome fields of the Fudge Roll dialog
+ * @param {jQuery} html             The dialog's html
+ * @return {object}                 The entered value, the target built from it, the outcome and the DC
+ */
+function readFudge(html) {
+    const value = parseInt(html.find("#target")[0].value);
+    const upper = parseInt(html.find("#targetMax")[0].value);
+    const tgt = {
+        exact: value,
+        atLeast: { min: value },
+        atMost: { max: value },
+        between: { min: value, max: upper },
+        natural: { natural: value }
+    }[html.find("#targetType")[0].value];
+    const outcome = html.find("#outcomeSelect")[0].value || null;
+    const dc = parseInt(html.find("#dc")[0].value);
+    return { value, tgt, outcome, dc };
+};
+
+/**
+ * Read the roll type chosen in the Fudge Roll dialog
+ * @param {jQuery} html             The dialog's html
+ * @return {string|null}
+ */
+function readRollType(html) {
+    return html.find("[name=rollType]:checked")[0]?.value ?? null;
+};
+
+/**
+ * Read what a roll of the chosen type uses from the Fudge Roll dialog
+ * @param {jQuery} html             The dialog's html
+ * @param {string} type             The roll type
+ * @return {string|null}            The skill, ability, save, item, tool or hit die chosen, or the formula entered
+ */
+function readKey(html, type) {
+    const select = {
+        skill: "#skillSelect",
+        ability: "#abilitySelect",
+        save: "#saveSelect",
+        attack: "#itemSelect",
+        damage: "#itemSelect",
+        tool: "#toolSelect",
+        hitDie: "#hitDieSelect"
+    }[type];
+    if (select) return html.find(select)[0]?.value || null;
+    return (type === "formula") ? html.find("#formula")[0].value.trim() : null;
+};
+
+/**
+ * Read the target of a roll from the Fudge Roll dialog, a plain total for damage and hit dice
+ * @param {jQuery} html             The dialog's html
+ * @param {string} type             The roll type
+ * @return {number|object}
+ */
+function readTarget(html, type) {
+    const { value, tgt } = readFudge(html);
+    return ["damage", "hitDie"].includes(type) ? value : tgt;
+};
+
+/**
+ * Read the damage and concentration save an attack is chained into from the Fudge Roll dialog
+ * @param {jQuery} html             The dialog's html
+ * @return {object|null}            The chain options, or null if the attack is not chained
+ */
+function readChain(html) {
+    if (!html.find("#chainCheck")[0]?.checked) return null;
+    const damage = parseInt(html.find("#chainDamage")[0].value);
+    const leaveAt = parseInt(html.find("#leaveAt")[0].value);
+    return {
+        damage: Number.isInteger(damage) ? damage : null,
+        leaveAt: Number.isInteger(leaveAt) ? leaveAt : null,
+        versatile: html.find("#versatileCheck")[0].checked,
+        concentration: { outcome: html.find("#concentrationOutcome")[0].value || null }
+    };
+};
+
+/**
+ * Read the options of an attack or damage roll from the Fudge Roll dialog
+ * @param {jQuery} html             The dialog's html
+ * @return {object}                 Whether the roll is versatile or consumes a spell slot, and its chain
+ */
+function readRollOptions(html) {
+    return {
+        versatile: !!html.find("#versatileCheck")[0]?.checked,
+        consumeSlot: !!html.find("#slotCheck")[0]?.checked,
+        chain: readChain(html)
+    };
+};
+
+/**
+ * Read the check or save chosen in the Fudge Roll dialog
+ * @param {jQuery} html             The dialog's html
+ * @return {object|null}            The type and key of the check, or null if another kind of roll is chosen
+ */
+function readCheck(html) {
+    const type = readRollType(html);
+    return ["skill", "ability", "save"].includes(type) ? { type, key: readKey(html, type) } : null;
+};
+
+/**
+ * Ask for a target for each actor of a group roll
+ * @param {Actor[]} actors          The actors which roll
+ * @return {Promise<number[]|null>} The targets in the order of the actors, or null if the dialog is closed
+ */
+function groupTargets(actors) {
+    const rows = actors.map((a, i) => `<div>${a.name}: <input name="target-${i}" type="number" style="width:50px" /></div>`);
+    return new Promise(resolve => {
+        new Dialog({
+            title: game.i18n.localize("FUDGE.GroupEach"),
+            content: rows.join(""),
+            buttons: {
+                fudgeRoll: {
+                    label: game.i18n.localize("FUDGE.FudgeRolls"),
+                    callback: html => resolve(actors.map((a, i) => parseInt(html.find(`[name=target-${i}]`)[0].value)))
+                }
+            },
+            default: "fudgeRoll",
+            close: () => resolve(null)
+        }).render(true);
+    });
+};
+
+/**
+ * Show the chance of the check, save or attack chosen in the Fudge Roll dialog landing on its target honestly
+ * Nothing is shown while no skill, ability or item is chosen, as on an actor without any.
+ * @param {jQuery} html             The dialog's html
+ * @param {Actor} actor             The actor the dialog is opened for
+ * @return {Promise}
+ */
+async function updateOdds(html, actor) {
+    const { tgt, outcome, dc } = readFudge(html);
+    const adv = html.find("#oddsAdvantage")[0].value;
+    const options = { actor, dryRun: true, advantage: adv === "advantage", disadvantage: adv === "disadvantage" };
+    const check = readCheck(html);
+    const itemId = readKey(html, "attack");
+    let roll = null;
+    let targetValue = dc;
+
+    if (check?.key) {
+        roll = await checkRoller(check.type)(check.key, options);
+    } else if ((readRollType(html) === "attack") && itemId) {
+        roll = await systemAdapter().rollAttack(itemId, options);
+        targetValue = targetAC();
+    };
+
+    const odds = roll ? await fudgeOdds(roll, { target: tgt, outcome, targetValue }) : null;
+    if (!odds) return html.find("#odds").text("");
+    if (!odds.reachable) return html.find("#odds").text(game.i18n.format("FUDGE.OddsUnreachable", { formula: roll.formula }));
+    const chance = game.i18n.format("FUDGE.OddsChance", { chance: (odds.chance * 100).toFixed(1) });
+    const percentile = (odds.percentile === null) ? "" : `, ${game.i18n.format("FUDGE.OddsPercentile", { percentile: Math.round(odds.percentile) })}`;
+    html.find("#odds").text(chance + percentile);
+};
+
+/**
+ * Fudge the check or save chosen in the Fudge Roll dialog for all controlled tokens, in the group mode chosen
+ * @param {jQuery} html             The dialog's html
+ * @return {Promise}
+ */
+async function fudgeGroup(html) {
+    const check = readCheck(html);
+    if (!check) return ui.notifications.warn(game.i18n.localize("FUDGE.GroupChecksOnly"));
+    const actors = canvas.tokens.controlled.map(t => t.actor).filter(a => a);
+    if (!actors.length) return ui.notifications.warn(game.i18n.localize("FUDGE.GroupNeedsTokens"));
+    const { tgt, outcome, dc } = readFudge(html);
+    const combine = html.find("#groupCombine")[0].checked;
+    const mode = html.find("#groupMode")[0].value;
+
+    if (mode === "each") {
+        const targets = await groupTargets(actors);
+        if (targets) await rollGroupFudge(actors, check.type, check.key, { targets, combine });
+    } else if (mode === "split") {
+        const passes = parseInt(html.find("#groupPasses")[0].value);
+        if (!Number.isInteger(passes) || (passes < 0) || (passes > actors.length)) {
+            return ui.notifications.warn(game.i18n.format("FUDGE.GroupPassesInvalid", { count: actors.length }));
+        }
+        const outcomes = splitOutcomes(actors.length, passes);
+        await rollGroupFudge(actors, check.type, check.key, { outcomes, targetValue: dc, combine });
+    } else {
+        const targets = actors.map(() => tgt);
+        const outcomes = actors.map(() => outcome);
+        await rollGroupFudge(actors, check.type, check.key, { targets, outcomes, targetValue: dc, combine });
+    };
+};
+
+/**
+ * Build the skill or ability options of one side of a contest
+ * @param {Actor|null} actor        The actor of the side
+ * @param {string} type             Either "skill" or "ability"
+ * @param {object} adapter          The adapter of the game system
+ * @return {string}
+ */
+function contestKeyOptions(actor, type, adapter = systemAdapter()) {
+    if (!actor) return "";
+    return (type === "ability") ? adapter.abilityOptions(actor) : adapter.skillOptions(actor);
+};
+
+/**
+ * Build the actor, check type and check selects of one side of the contest dialog
+ * @param {number} i                The index of the side
+ * @param {Actor[]} actors          The actors which can take the side
+ * @param {Actor|null} actor        The actor selected for the side
+ * @param {object} adapter          The adapter of the game system
+ * @return {string}
+ */
+function contestSide(i, actors, actor, adapter) {
+    const actorOptions = actors.map((a, j) => `<option value="${j}"${a === actor ? " selected" : ""}>${a.name}</option>`);
+    const types = ["skill", "ability"].filter(t => adapter.rollTypes.includes(t));
+    const typeOptions = types
+        .map(t => `<option value="${t}">${game.i18n.localize((t === "skill") ? "FUDGE.SkillCheck" : "FUDGE.AbilityCheck")}</option>`);
+    return `
+<div class="contest-side" data-side="${i}">
+    <select class="contest-actor">${actorOptions.join("")}</select>
+    <select class="contest-type">${typeOptions.join("")}</select>
+    <select class="contest-key">${contestKeyOptions(actor, types[0], adapter)}</select>
+</div>
+`;
+};
+
+/**
+ * Open the contested check dialog, the first side defaulting to the given actor and the second to the targeted token
+ * @param {Actor} actor             The actor making the first check, the speaker's actor by default
+ */
+function showContestDialog(actor = _defaultActor()) {
+    if (!_canFudge()) {
+        return ui.notifications.warn(game.i18n.localize("FUDGE.GMOnly"));
+    }
+    const adapter = systemAdapter();
+    const actors = Array.from(new Set(canvas.tokens.placeables.map(t => t.actor).filter(a => a)));
+    if (actor && !actors.includes(actor)) actors.unshift(actor);
+    if (actors.length < 2) {
+        return ui.notifications.warn(game.i18n.localize("FUDGE.ContestNeedsActors"));
+    }
+    const target = game.user.targets.values().next().value?.actor;
+    const opponent = ((target !== actor) && target) || actors.find(a => a !== actor);
+    new Dialog({
+        title: game.i18n.localize("FUDGE.Contest"),
+        content: `
+${contestSide(0, actors, actor ?? actors[0], adapter)}
+${contestSide(1, actors, opponent, adapter)}
+<div>
+    ${game.i18n.localize("FUDGE.ContestResult")}: <select id="contestWinner">
+        <option value="0">${game.i18n.localize("FUDGE.ContestFirst")}</option>
+        <option value="1">${game.i18n.localize("FUDGE.ContestSecond")}</option>
+        <option value="tie">${game.i18n.localize("FUDGE.ContestTie")}</option>
+        <option value="">${game.i18n.localize("FUDGE.ContestHonest")}</option>
+    </select>
+    ${game.i18n.localize("FUDGE.ContestMargin")}: <input id="contestMargin" type="number" style="width:50px" />
+</div>
+`,
+        buttons: {
+            fudgeRoll: {
+                label: game.i18n.localize("FUDGE.FudgeRolls"),
+                callback: html => {
+                    const sides = html.find(".contest-side").toArray().map(div => ({
+                        actor: actors[div.querySelector(".contest-actor").value],
+                        type: div.querySelector(".contest-type").value,
+                        key: div.querySelector(".contest-key").value
+                    }));
+                    const value = html.find("#contestWinner")[0].value;
+                    const winner = (value === "") ? null : (value === "tie") ? "tie" : parseInt(value);
+                    const margin = parseInt(html.find("#contestMargin")[0].value);
+                    rollContestFudge(sides, { winner, margin: Number.isInteger(margin) ? margin : null });
+                }
+            },
+            cancel: { label: game.i18n.localize("FUDGE.Cancel") }
+        },
+        default: "fudgeRoll",
+        render: html => html.find(".contest-actor, .contest-type").change(event => {
+            const div = event.currentTarget.closest(".contest-side");
+            const side = actors[div.querySelector(".contest-actor").value];
+            div.querySelector(".contest-key").innerHTML = contestKeyOptions(side, div.querySelector(".contest-type").value, adapter);
+        })
+    }).render(true);
+};
+
+/**
+ * Open the Fudge Roll dialog for an actor
+ * @param {Actor} actor             The actor whose rolls are fudged, the speaker's actor by default
+ */
+function showFudgeDialog(actor = _defaultActor()) {
+    if (!_canFudge()) {
+        return ui.notifications.warn(game.i18n.localize("FUDGE.GMOnly"));
+    }
+    if (!actor) {
+        return ui.notifications.warn(game.i18n.localize("FUDGE.NeedsToken"));
+    }
+    const adapter = systemAdapter();
+    new Dialog({
+        title: game.i18n.localize("FUDGE.Title"),
+        content: dialogContent(actor, adapter),
+        buttons: {
+            fudgeRoll: {
+                label: game.i18n.localize("FUDGE.FudgeRoll"),
+                callback: async (html) => {
+                    if (html.find("#groupCheck")[0].checked) return fudgeGroup(html);
+                    const { outcome, dc } = readFudge(html);
+                    const type = readRollType(html);
+                    return rollFudge(actor, type, readKey(html, type), {
+                        ...readRollOptions(html),
+                        target: readTarget(html, type),
+                        outcome,
+                        targetValue: (type === "attack") ? targetAC() : dc
+                    });
+                }
+            },
+            armNext: {
+                label: game.i18n.localize("FUDGE.ArmNext"),
+                callback: async (html) => {
+                    const { value, tgt, outcome, dc } = readFudge(html);
+                    const check = readCheck(html);
+                    const itemId = readKey(html, "attack");
+
+                    switch (readRollType(html)) {
+                        case "skill":
+                        case "ability":
+                        case "save": {
+                            const label = adapter.rollLabel(check.type, check.key, actor);
+                            return armFudge(actor, check.type, check.key, { label, target: tgt, outcome, targetValue: dc });
+                        }
+                        case "attack": {
+                            const label = itemId ? adapter.rollLabel("attack", itemId, actor) : game.i18n.localize("FUDGE.ArmAttackRoll");
+                            return armFudge(actor, "attack", itemId, { label, target: tgt, outcome });
+                        }
+                        case "damage": {
+                            const item = actor.items.get(itemId);
+                            const label = item ? game.i18n.format("FUDGE.ArmItemDamageRoll", { item: item.name }) : game.i18n.localize("FUDGE.ArmDamageRoll");
+                            return armFudge(actor, "damage", item?.id ?? null, { label, target: value });
+                        }
+                        case "tool": {
+                            const item = actor.items.get(html.find("#toolSelect")[0].value);
+                            const label = item ? game.i18n.format("FUDGE.ArmItemCheck", { item: item.name }) : game.i18n.localize("FUDGE.ArmToolCheck");
+                            return armFudge(actor, "tool", item?.id ?? null, { label, target: tgt, outcome, targetValue: dc });
+                        }
+                    };
+                    ui.notifications.warn(game.i18n.localize("FUDGE.ArmUnsupported"));
+                }
+            },
+            savePreset: {
+                label: game.i18n.localize("FUDGE.SavePreset"),
+                callback: (html) => {
+                    const { outcome, dc } = readFudge(html);
+                    const type = readRollType(html);
+                    showSavePreset(actor, type, readKey(html, type), {
+                        target: readTarget(html, type),
+                        outcome,
+                        targetValue: (type === "attack") ? null : dc,
+                        options: readRollOptions(html)
+                    });
+                }
+            },
+            presets: {
+                label: game.i18n.localize("FUDGE.Presets"),
+                callback: () => showPresets()
+            },
+            contest: {
+                label: game.i18n.localize("FUDGE.Contest"),
+                callback: () => showContestDialog(actor)
+            },
+            pending: {
+                label: game.i18n.localize("FUDGE.PendingFudges"),
+                callback: () => showPendingFudges()
+            },
+            log: {
+                label: game.i18n.localize("FUDGE.FudgeLog"),
+                callback: () => showFudgeLog()
+            }
+        },
+        render: html => {
+            const showOdds = () => updateOdds(html, actor).catch(err => {
+                console.error(err);
+                html.find("#odds").text("");
+            });
+            html.find("input, select").on("change input", showOdds);
+            showOdds();
+        }
+    }).render(true);
+};
+
+const MODULE = "fudge-roll";
+
+/**
+ * The localization keys of the names of the roll types, as offered by the dialog and recorded in the fudge log
+ * @type {Object<string, string>}
+ */
+const ROLL_TYPE_LABELS = {
+    skill: "FUDGE.SkillCheck",
+    ability: "FUDGE.AbilityCheck",
+    save: "FUDGE.SavingThrow",
+    attack: "FUDGE.AttackRoll",
+    damage: "FUDGE.DamageRoll",
+    tool: "FUDGE.ToolCheck",
+    initiative: "FUDGE.Initiative",
+    death: "FUDGE.DeathSave",
+    hitDie: "FUDGE.HitDie",
+    formula: "FUDGE.Formula",
+    contest: "FUDGE.Contest"
+};
+
+/**
+ * Get the localized name of a roll type, or the type itself for one without a name, such as a plain "roll"
+ * @param {string} type             The roll type
+ * @return {string}
+ */
+function rollTypeLabel(type) {
+    return ROLL_TYPE_LABELS[type] ? game.i18n.localize(ROLL_TYPE_LABELS[type]) : type;
+}
+
+/**
+ * Get the localized name of an outcome of the running game system, such as "Critical Hit"
+ * @param {string} outcome          The outcome, such as "critical" or "criticalSuccess"
+ * @return {string}
+ * @private
+ */
+function _outcomeLabel(outcome) {
+    const label = systemAdapter().outcomes[outcome];
+    return label ? game.i18n.localize(label) : outcome;
+};
+
+/**
+ * Put the bounds of a fudge into localized words, for notifications and the fudge log
+ * @param {{min: number, max: number, natural: {min: number, max: number}|null}} constraint
+ * @return {string}
+ * @private
+ */
+function _describeConstraint(constraint) {
+    return describeConstraint(constraint, (key, data) => game.i18n.format(`FUDGE.Constraint${key}`, data));
+};
+
+/**
+ * The actor a roll is made for when none is given, like the actor of a script macro
+ * @return {Actor|null}
+ * @private
+ */
+function _defaultActor() {
+    return ChatMessage.getSpeakerActor(ChatMessage.getSpeaker()) ?? game.user.character;
+};
+
+/**
+ * The roll mode of fudged rolls which are not given one, from the module settings
+ * @return {string}
+ * @private
+ */
+function _defaultRollMode() {
+    const rollMode = game.settings.get(MODULE, "rollMode");
+    return (rollMode === "chat") ? game.settings.get("core", "rollMode") : rollMode;
+};
+
+/**
+ * Whether this user may fudge rolls, which the GM Only setting limits to GMs
+ * @return {boolean}
+ * @private
+ */
+function _canFudge() {
+    return game.user.isGM || !game.settings.get(MODULE, "gmOnly");
+};
+
+/**
+ * Wrap an API function so that it only runs for users who may fudge rolls
+ * @param {Function} fn             The function to wrap
+ * @return {Function}
+ * @private
+ */
+function _guard(fn) {
+    return (...args) => {
+        if (_canFudge()) return fn(...args);
+        ui.notifications.warn(game.i18n.localize("FUDGE.GMOnly"));
+        return null;
+    };
+};
+
+/**
+ * Everything the fudge workflow needs to know about a game system
+ * Roll functions take a key and options in the same shape as rollSkillFudge, and resolve to the fudged Roll or null.
+ * @typedef {object} SystemAdapter
+ * @property {string} id                    The id of the game system, such as "dnd5e"
+ * @property {string[]} rollTypes           The roll types the Fudge Roll dialog offers, the first of them chosen by default
+ * @property {Object<string, string>} outcomes  The outcomes a roll can be fudged to, with the localization key of each
+ * @property {boolean} consumesSlots        Whether attacks can spend a spell slot
+ * @property {Function} skillOptions        (actor) => the option markup of the actor's skills
+ * @property {Function} abilityOptions      (actor) => the option markup of the actor's ability checks
+ * @property {Function} saveOptions         (actor) => the option markup of the actor's saves
+ * @property {Function} itemOptions         (actor) => the option markup of the items the actor attacks with
+ * @property {Function} rollSkill           (skillId, options) => Promise<Roll|null>
+ * @property {Function} rollAbilityTest     (abilityId, options) => Promise<Roll|null>
+ * @property {Function} rollSave            (saveId, options) => Promise<Roll|null>
+ * @property {Function} rollAttack          (itemId, options) => Promise<Roll|null>
+ * @property {Function} rollLabel           (type, key, actor) => a name for a roll, such as "Stealth Skill Check"
+ * @property {Function} outcomeConstraints  (outcome, targetValue, roll) => the constraints any of which give the outcome,
+ *                                          or null if it cannot be judged
+ * @property {Function} rollFlags           (message) => the type, key and any targetValue of a posted roll, or null
+ *                                          if the message is not a roll the system made
+ * @property {Function} lastItemId          () => the id of the item last used in chat, or null
+ * @property {Function} lastDC              () => the DC last called for in chat, or null
+ * @property {Function} [messageUpdate]     (message, roll) => further changes to a posted roll message once it is fudged
+ */
+
+const systemAdapters = {};
+
+/**
+ * Register the adapter for a game system, replacing any adapter it already has
+ * @param {SystemAdapter} adapter       The adapter
+ */
+function registerSystemAdapter(adapter) {
+    systemAdapters[adapter.id] = adapter;
+};
+
+/**
+ * Get the adapter for the running game system, or the formula-only adapter for systems without one
+ * @return {SystemAdapter}
+ */
+function systemAdapter() {
+    return systemAdapters[game.system.id] ?? genericAdapter;
+};
+
+/**
+ * Get the function which rolls a check or save of a given type
+ * @param {string} type                 One of "skill", "ability" or "save"
+ * @param {SystemAdapter} adapter       The adapter which makes the roll
+ * @return {Function}
+ */
+function checkRoller(type, adapter = systemAdapter()) {
+    return { skill: adapter.rollSkill, ability: adapter.rollAbilityTest, save: adapter.rollSave }[type];
+};
+
+/**
+ * Build a roll function for a roll type which a game system does not offer
+ * @param {string} type                 The roll type
+ * @return {Function}
+ * @private
+ */
+function _unsupportedRoll(type) {
+    return (key, { dryRun = false } = {}) => {
+        if (!dryRun) ui.notifications.warn(game.i18n.format("FUDGE.RollTypeUnsupported", { type: rollTypeLabel(type), system: game.system.id }));
+        return null;
+    };
+};
+
+const dnd5eAdapter = {
+    id: "dnd5e",
+    rollTypes: ["skill", "ability", "save", "attack", "damage", "tool", "initiative", "death", "hitDie", "formula"],
+    outcomes: {
+        hit: "FUDGE.OutcomeHit",
+        miss: "FUDGE.OutcomeMiss",
+        critical: "FUDGE.OutcomeCritical",
+        fumble: "FUDGE.OutcomeFumble",
+        success: "FUDGE.OutcomeSuccess",
+        failure: "FUDGE.OutcomeFailure"
+    },
+    consumesSlots: true,
+    skillOptions: actor => skillOptions(actor),
+    abilityOptions: actor => abilityOptions(actor),
+    saveOptions: actor => abilityOptions(actor, true),
+    itemOptions: actor => itemOptions(actor),
+    rollSkill: rollSkillFudge,
+    rollAbilityTest: rollAbilityTestFudge,
+    rollSave: rollAbilitySaveFudge,
+    rollAttack: (itemId, { actor = _defaultActor(), ...options } = {}) => {
+        if (!actor?.items.get(itemId)?.hasAttack) {
+            if (!options.dryRun) ui.notifications.warn(game.i18n.localize("FUDGE.ChooseAttackItem"));
+            return null;
+        }
+        return rollAttackFudge(itemId, { actor, ...options });
+    },
+    rollLabel: (type, key, actor) => {
+        switch (type) {
+            case "skill": return game.i18n.format("DND5E.SkillPromptTitle", { skill: configLabel(CONFIG.DND5E.skills[key]) });
+            case "ability": return game.i18n.format("DND5E.AbilityPromptTitle", { ability: configLabel(CONFIG.DND5E.abilities[key]) });
+            case "save": return game.i18n.format("DND5E.SavePromptTitle", { ability: configLabel(CONFIG.DND5E.abilities[key]) });
+            case "attack": return `${actor?.items.get(key)?.name ?? ""} - ${game.i18n.localize("DND5E.AttackRoll")}`;
+        }
+        return type;
+    },
+    outcomeConstraints: (outcome, targetValue, roll) => {
+        if (["hit", "miss", "success", "failure"].includes(outcome) && !Number.isInteger(targetValue)) return null;
+        const d20 = roll.dice[0];
+        return [outcomeConstraint(outcome, targetValue, d20?.options.critical ?? 20, d20?.options.fumble ?? 1)];
+    },
+    rollFlags: message => {
+        const flags = message.isRoll ? message.getFlag("dnd5e", "roll") : null;
+        return flags ? { ...flags, key: flags.skillId ?? flags.abilityId ?? flags.itemId ?? null } : null;
+    },
+    lastItemId: () => {
+        const message = game.messages
+            .filter(message => documentData(message).content.includes(`dnd5e chat-card item-card`))
+            .pop();
+        if (!message) return null;
+        return /data-item-id="(.*?)"/g.exec(documentData(message).content)?.[1] ?? null;
+    },
+    lastDC: () => {
+        const message = game.messages
+            .filter(message => documentData(message).content.includes(`dnd5e chat-card item-card`))
+            .pop();
+        if (!message) return null;
+        const itemID = /data-item-id="(.*?)"/g.exec(documentData(message).content)?.[1];
+        const item = ChatMessage.getSpeakerActor(documentData(message).speaker)?.items.get(itemID);
+        return item ? (systemData(item).save?.dc ?? null) : null;
+    }
+};
+
+const pf2eAdapter = {
+    id: "pf2e",
+    rollTypes: ["skill", "save", "attack", "initiative", "formula"],
+    outcomes: {
+        criticalSuccess: "FUDGE.OutcomeCriticalSuccess",
+        success: "FUDGE.OutcomeSuccess",
+        failure: "FUDGE.OutcomeFailure",
+        criticalFailure: "FUDGE.OutcomeCriticalFailure"
+    },
+    consumesSlots: false,
+    skillOptions: actor => _statisticOptions(_pf2eSkills(actor)),
+    abilityOptions: () => "",
+    saveOptions: actor => _statisticOptions(Object.values(actor.saves ?? {})),
+    itemOptions: actor => {
+        const selected = pf2eAdapter.lastItemId();
+        return _pf2eStrikes(actor).map(s => {
+            return `<option value=${s.slug}${s.slug === selected ? " selected" : ""}>${s.label} (${signedMod(s.mod)})</option>`;
+        }).join("");
+    },
+    rollSkill: (skillId, options) => _pf2eCheckFudge("skill", skillId, options),
+    rollAbilityTest: _unsupportedRoll("ability"),
+    rollSave: (saveId, options) => _pf2eCheckFudge("save", saveId, options),
+    rollAttack: (itemId, options) => _pf2eCheckFudge("attack", itemId, options),
+    rollLabel: (type, key, actor) => (actor && _pf2eStatistic(actor, type, key)?.label) ?? key ?? type,
+    outcomeConstraints: (outcome, targetValue) => {
+        if (!Number.isInteger(targetValue) || !PF2E_DEGREES.includes(outcome)) return null;
+        return degreeConstraints(PF2E_DEGREES.indexOf(outcome), targetValue);
+    },
+    rollFlags: message => {
+        if (!message.isRoll) return null;
+        const flags = message.getFlag(MODULE, "roll");
+        if (flags) return flags;
+        const context = message.getFlag("pf2e", "context");
+        const type = {
+            "skill-check": "skill",
+            "perception-check": "skill",
+            "saving-throw": "save",
+            "attack-roll": "attack",
+            "damage-roll": "damage",
+            "initiative": "initiative"
+        }[context?.type];
+        if (!type) return null;
+        const key = (type === "attack") ? message.getFlag("pf2e", "origin")?.uuid?.split(".").pop()
+            : message.getFlag("pf2e", "modifierName");
+        return { type, key: key ?? null, targetValue: context.dc?.value ?? null };
+    },
+    lastItemId: () => {
+        const message = game.messages.filter(m => m.getFlag("pf2e", "origin")?.type).pop();
+        return message?.getFlag("pf2e", "origin").uuid?.split(".").pop() ?? null;
+    },
+    lastDC: () => {
+        const message = game.messages.filter(m => Number.isInteger(m.getFlag("pf2e", "context")?.dc?.value)).pop();
+        return message?.getFlag("pf2e", "context").dc.value ?? null;
+    },
+    messageUpdate: (message, roll) => {
+        const dc = message.getFlag("pf2e", "context")?.dc?.value;
+        return Number.isInteger(dc) ? { "flags.pf2e.context.outcome": pf2eDegree(roll, dc) } : {};
+    }
+};
+
+/**
+ * Get the skills of a Pathfinder 2e actor, led by Perception
+ * @param {Actor} actor                 The actor
+ * @return {Statistic[]}
+ * @private
+ */
+function _pf2eSkills(actor) {
+    return [actor.perception].concat(Object.values(actor.skills ?? {})).filter(s => s);
+};
+
+/**
+ * Get the strikes of a Pathfinder 2e actor, keyed by the id of the item each is made with
+ * @param {Actor} actor                 The actor
+ * @return {{slug: string, label: string, mod: number}[]}
+ * @private
+ */
+function _pf2eStrikes(actor) {
+    return (systemData(actor).actions ?? [])
+        .filter(a => (a.type === "strike") && a.item)
+        .map(a => ({ slug: a.item.id, label: a.label, mod: a.totalModifier }));
+};
+
+/**
+ * Get the statistic a Pathfinder 2e roll is made with
+ * @param {Actor} actor                 The actor making the roll
+ * @param {string} type                 One of "skill", "save" or "attack"
+ * @param {string} key                  The skill or save slug, or the id of the item a strike is made with
+ * @return {{slug: string, label: string, mod: number}|null}
+ * @private
+ */
+function _pf2eStatistic(actor, type, key) {
+    if (type === "skill") return _pf2eSkills(actor).find(s => s.slug === key) ?? null;
+    if (type === "save") return actor.saves?.[key] ?? null;
+    if (type === "attack") return _pf2eStrikes(actor).find(s => s.slug === key) ?? null;
+    return null;
+};
+
+/**
+ * Build the option markup of a list of statistics, sorted by label
+ * @param {{slug: string, label: string, mod: number}[]} statistics
+ * @return {string}
+ * @private
+ */
+function _statisticOptions(statistics) {
+    return statistics
+        .slice()
+        .sort((a, b) => a.label.localeCompare(b.label, game.i18n.lang))
+        .map(s => `<option value=${s.slug}>${s.label} (${signedMod(s.mod)})</option>`)
+        .join("");
+};
+
+/**
+ * Roll a Pathfinder 2e check, save or strike as a d20 plus the actor's modifier, fudged to a target or degree of success
+ * Fortune and misfortune are given as advantage and disadvantage. The degree reached against the DC is shown in the flavor.
+ * @param {string} type                 One of "skill", "save" or "attack"
+ * @param {string} key                  The skill or save slug, or the id of the item a strike is made with
+ * @param {Actor} actor                 The actor making the roll, the speaker's actor by default
+ * @param {Object} options              The target or outcome of the fudge, and how the roll is made and posted
+ * @return {Promise<Roll|null>}         The fudged Roll, unevaluated for a dry run, or null if it cannot be made
+ * @private
+ */
+async function _pf2eCheckFudge(type, key, { actor: rollActor = _defaultActor(), target = null, outcome = null, targetValue = null,
+    rollMode = null, advantage = false, disadvantage = false, chatMessage = true, dryRun = false } = {}) {
+    const statistic = _pf2eStatistic(rollActor, type, key);
+    if (!statistic) {
+        if (!dryRun) ui.notifications.warn(game.i18n.format("FUDGE.NoStatistic", { name: rollActor.name, type: rollTypeLabel(type), key }));
+        return null;
+    }
+    const adv = advantage ? 1 : (disadvantage ? -1 : 0);
+    const roll = new Roll(`${d20Formula(adv)} + @mod`, { mod: statistic.mod });
+    if (dryRun) return roll;
+    if (outcome && !PF2E_DEGREES.includes(outcome)) {
+        ui.notifications.warn(game.i18n.format("FUDGE.NotADegree", { outcome }));
+        return null;
+    }
+    if (outcome && !Number.isInteger(targetValue)) {
+        ui.notifications.warn(game.i18n.localize("FUDGE.DegreeNeedsDC"));
+        return null;
+    }
+    await evaluateRoll(roll);
+
+    // Fudge the roll to the target, or to any of the ways its degree of success can be reached
+    const speaker = ChatMessage.getSpeaker({ actor: rollActor });
+    const flags = { type, key, targetValue };
+    const constraints = outcome ? pf2eAdapter.outcomeConstraints(outcome, targetValue) : [targetConstraint(target)];
+    if (constraints[0]) {
+        const honest = _rollSummary(roll);
+        const request = outcome ? _outcomeLabel(outcome) : _describeConstraint(constraints[0]);
+        if (!fudgeToConstraints(roll, constraints)) {
+            const { min, max } = fudgeRange(roll);
+            ui.notifications.warn(game.i18n.format("FUDGE.CannotFudge", { formula: roll.formula, request, min, max }));
+            return null;
+        }
+        _recordFudge(honest, roll, { speaker, flags, request });
+    }
+
+    if (chatMessage) {
+        const flavor = !Number.isInteger(targetValue) ? statistic.label : game.i18n.format("FUDGE.DegreeFlavor", {
+            label: statistic.label,
+            dc: targetValue,
+            degree: game.i18n.localize(pf2eAdapter.outcomes[pf2eDegree(roll, targetValue)])
+        });
+        await roll.toMessage({ speaker, flavor, [`flags.${MODULE}.roll`]: flags, [`flags.${MODULE}.fudged`]: true }, {
+            rollMode: rollMode || _defaultRollMode()
+        });
+    }
+    return roll;
+};
+
+/**
+ * The adapter for game systems without one of their own, which can only fudge initiative and free-form formulas
+ */
+const genericAdapter = {
+    id: "generic",
+    rollTypes: ["initiative", "formula"],
+    outcomes: {},
+    consumesSlots: false,
+    skillOptions: () => "",
+    abilityOptions: () => "",
+    saveOptions: () => "",
+    itemOptions: () => "",
+    rollSkill: _unsupportedRoll("skill"),
+    rollAbilityTest: _unsupportedRoll("ability"),
+    rollSave: _unsupportedRoll("save"),
+    rollAttack: _unsupportedRoll("attack"),
+    rollLabel: (type, key) => key ?? type,
+    outcomeConstraints: () => null,
+    rollFlags: message => message.isRoll ? { type: "formula", key: null } : null,
+    lastItemId: () => null,
+    lastDC: () => null
+};
+
+registerSystemAdapter(dnd5eAdapter);
+registerSystemAdapter(pf2eAdapter);
+
+/**
+ * The functions other macros and modules call, as game.modules.get("fudge-roll").api
+ */
+const api = {
+    rollSkill: _guard((...args) => systemAdapter().rollSkill(...args)),
+    rollAbilityTest: _guard((...args) => systemAdapter().rollAbilityTest(...args)),
+    rollSave: _guard((...args) => systemAdapter().rollSave(...args)),
+    rollAttack: _guard((...args) => systemAdapter().rollAttack(...args)),
+    rollDamage: _guard(rollDamageFudge),
+    rollToolCheck: _guard(rollToolCheckFudge),
+    rollDeathSave: _guard(rollDeathSaveFudge),
+    rollHitDie: _guard(rollHitDieFudge),
+    rollInitiative: _guard(rollInitiativeFudge),
+    rollFormula: _guard(rollFormulaFudge),
+    rollGroup: _guard(rollGroupFudge),
+    rollContest: _guard(rollContestFudge),
+    d20Roll: _guard(d20RollFudge),
+    damageRoll: _guard(damageRollFudge),
+    fudgePostedRoll: _guard(fudgePostedRoll),
+    fudgeOdds: fudgeOdds,
+    armFudge: _guard(armFudge),
+    disarmFudge: _guard(disarmFudge),
+    fudgeLog: fudgeLog,
+    exportFudgeLog: exportFudgeLog,
+    revealFudges: revealFudges,
+    showDialog: showFudgeDialog,
+    showPendingFudges: showPendingFudges,
+    showFudgeLog: showFudgeLog,
+    rollFudge: _guard(rollFudge),
+    fudgePresets: fudgePresets,
+    savePreset: _guard(savePreset),
+    deletePreset: _guard(deletePreset),
+    runPreset: _guard(runPreset),
+    presetMacro: _guard(presetMacro),
+    showPresets: showPresets,
+    showContestDialog: showContestDialog,
+    registerSystemAdapter: registerSystemAdapter,
+    systemAdapter: systemAdapter
+};
+
+Hooks.once("init", () => {
+    game.settings.register(MODULE, "rollMode", {
+        name: "FUDGE.SettingRollMode",
+        hint: "FUDGE.SettingRollModeHint",
+        scope: "world",
+        config: true,
+        type: String,
+        choices: mergeObject({ chat: "FUDGE.SettingChatRollMode" }, rollModeLabels(), { inplace: false }),
+        default: "chat"
+    });
+    game.settings.register(MODULE, "gmOnly", {
+        name: "FUDGE.SettingGMOnly",
+        hint: "FUDGE.SettingGMOnlyHint",
+        scope: "world",
+        config: true,
+        type: Boolean,
+        default: true,
+        onChange: () => ui.controls.initialize()
+    });
+    game.settings.register(MODULE, "presets", {
+        scope: "world",
+        config: false,
+        type: Object,
+        default: []
+    });
+    game.settings.register(MODULE, "karma", {
+        name: "FUDGE.SettingKarma",
+        hint: "FUDGE.SettingKarmaHint",
+        scope: "world",
+        config: true,
+        type: Boolean,
+        default: false
+    });
+    game.settings.register(MODULE, "karmaWindow", {
+        name: "FUDGE.SettingKarmaWindow",
+        hint: "FUDGE.SettingKarmaWindowHint",
+        scope: "world",
+        config: true,
+        type: Number,
+        range: { min: 2, max: 20, step: 1 },
+        default: 5
+    });
+    game.settings.register(MODULE, "karmaThreshold", {
+        name: "FUDGE.SettingKarmaThreshold",
+        hint: "FUDGE.SettingKarmaThresholdHint",
+        scope: "world",
+        config: true,
+        type: Number,
+        range: { min: 2, max: 11, step: 1 },
+        default: 7
+    });
+    game.settings.register(MODULE, "karmaMaxNudge", {
+        name: "FUDGE.SettingKarmaMaxNudge",
+        hint: "FUDGE.SettingKarmaMaxNudgeHint",
+        scope: "world",
+        config: true,
+        type: Number,
+        range: { min: 1, max: 10, step: 1 },
+        default: 3
+    });
+    game.settings.register(MODULE, "karmaRollTypes", {
+        name: "FUDGE.SettingKarmaRollTypes",
+        hint: "FUDGE.SettingKarmaRollTypesHint",
+        scope: "world",
+        config: true,
+        type: String,
+        default: "skill, ability, save, attack"
+    });
+    game.settings.register(MODULE, "karmaCover", {
+        name: "FUDGE.SettingKarmaCover",
+        hint: "FUDGE.SettingKarmaCoverHint",
+        scope: "world",
+        config: true,
+        type: String,
+        default: ""
+    });
+    game.settings.register(MODULE, "sceneControl", {
+        name: "FUDGE.SettingSceneControl",
+        hint: "FUDGE.SettingSceneControlHint",
+        scope: "client",
+        config: true,
+        type: Boolean,
+        default: true,
+        onChange: () => ui.controls.initialize()
+    });
+    game.modules.get(MODULE).api = api;
+    Hooks.callAll("fudgeRollReady", api);
+});
+
+Hooks.once("ready", () => game.socket.on(`module.${MODULE}`, _onSocketMessage));
+
+Hooks.on("getSceneControlButtons", controls => {
+    if (!game.settings.get(MODULE, "sceneControl") || !_canFudge()) return;
+    controls.find(c => c.name === "token")?.tools.push({
+        name: "fudgeRoll",
+        title: "FUDGE.Title",
+        icon: "fas fa-dice-d20",
+        button: true,
+        onClick: () => showFudgeDialog()
+    });
+});
+
+Hooks.on("preCreateChatMessage", _onPreCreateChatMessage);
+Hooks.on("getChatLogEntryContext", _chatLogEntryContext);
\ No newline at end of file
@@ -0,0 +1,699 @@
+/**
+ * The arithmetic behind every fudge: the range of totals a Roll can reach, the dice results which produce a chosen
+ * total, and the odds of an honest roll landing within bounds. Nothing here reads the world or prompts the user, it
+ * only touches the terms of the Roll it is handed, so it can be checked in plain Node against the stand-in in test/.
+ */
+
+import { isDiceTerm, isDie, isPool, refreshTotal, termOperator } from "./compat.js";
+
+/**
+ * Split an evaluated Roll into the dice terms which can be fudged and the constant remainder of its total
+ * Dice which are multiplied or divided, or which use modifiers the solver does not understand, are left as rolled
+ * @param {Roll} roll           An evaluated Roll instance
+ * @param {DiceTerm[]} locked   Terms which must keep their current results
+ * @return {{constant: number, dice: Array<{term: DiceTerm|DicePool, sign: number, min: number, max: number}>}}
+ * @private
+ */
+function _fudgeTerms(roll, locked = []) {
+    const scaling = ["*", "/", "%"];
+    const dice = roll.terms.reduce((dice, term, i) => {
+        const range = locked.includes(term) ? null : _termRange(term);
+        if (!range) return dice;
+        const prior = termOperator(roll.terms[i - 1]);
+        if (scaling.includes(prior) || scaling.includes(termOperator(roll.terms[i + 1]))) return dice;
+        const sign = prior === "-" ? -1 : 1;
+        dice.push({
+            term,
+            sign,
+            min: sign > 0 ? range.min : -range.max,
+            max: sign > 0 ? range.max : -range.min
+        });
+        return dice;
+    }, []);
+    const constant = dice.reduce((c, d) => c - (d.sign * d.term.total), roll.total);
+    return { constant, dice };
+};
+
+/**
+ * Get the lowest and highest total a Roll can be fudged to
+ * @param {Roll} roll           An evaluated Roll instance
+ * @param {DiceTerm[]} locked   Terms which must keep their current results
+ * @return {{min: number, max: number}}
+ */
+export function fudgeRange(roll, locked = []) {
+    const { constant, dice } = _fudgeTerms(roll, locked);
+    return dice.reduce((range, d) => {
+        range.min += d.min;
+        range.max += d.max;
+        return range;
+    }, { min: constant, max: constant });
+};
+
+/**
+ * Rewrite the dice results of an evaluated Roll so that its total matches a target
+ * The rolled results are moved as little as needed, so the fudged dice stay close to the honest ones
+ * @param {Roll} roll           An evaluated Roll instance
+ * @param {number} target       The total the Roll should have, which must lie within its fudge range
+ * @param {DiceTerm[]} locked   Terms which must keep their current results
+ * @return {Roll}               The same Roll instance, with its results and total rewritten
+ */
+export function fudgeTotal(roll, target, locked = []) {
+    const { min, max } = fudgeRange(roll, locked);
+    if (target < min || target > max) {
+        throw new Error(`${roll.formula} cannot total ${target}, it ranges from ${min} to ${max}.`);
+    }
+    const { constant, dice } = _fudgeTerms(roll, locked);
+
+    // Share the target out between the dice terms, then let each term set its own dice
+    const share = Math.round(target - constant);
+    const totals = _spreadTotal(dice.map(d => d.sign * d.term.total), share, dice.map(d => d.min), dice.map(d => d.max));
+    dice.forEach(({ term, sign }, i) => {
+        if (isPool(term)) _fudgePool(term, sign * totals[i]);
+        else _fudgeDie(term, sign * totals[i]);
+    });
+
+    return refreshTotal(roll);
+};
+
+/**
+ * Describe the totals and natural d20 faces allowed by a fudge target
+ * @param {number|object|null} target   An exact total, or an object with any of "min", "max" and "natural"
+ * @return {{min: number, max: number, natural: {min: number, max: number}|null}|null}
+ *                              The bounds, or null if the target leaves the roll honest
+ */
+export function targetConstraint(target) {
+    if (Number.isInteger(target)) return { min: target, max: target };
+    if (!target || (typeof target !== "object")) return null;
+    const constraint = {};
+    if (Number.isInteger(target.min)) constraint.min = target.min;
+    if (Number.isInteger(target.max)) constraint.max = target.max;
+    if (Number.isInteger(target.natural)) constraint.natural = { min: target.natural, max: target.natural };
+    return Object.keys(constraint).length ? constraint : null;
+};
+
+/**
+ * The English wording of each part of a described constraint, by the key describeConstraint formats it with
+ * @type {Object<string, string>}
+ */
+const CONSTRAINT_WORDS = {
+    Natural: "a natural {face}",
+    NaturalRange: "a natural {min} to {max}",
+    Total: "a total of {total}",
+    TotalRange: "a total between {min} and {max}",
+    TotalMin: "a total of at least {min}",
+    TotalMax: "a total of at most {max}",
+    And: "{natural} and {total}"
+};
+
+/**
+ * Put the bounds of a fudge into words for notifications
+ * @param {{min: number, max: number, natural: {min: number, max: number}|null}} constraint
+ * @param {Function} format     Word a part given its key in CONSTRAINT_WORDS and its values, in English by default
+ * @return {string}
+ */
+export function describeConstraint({ min, max, natural },
+    format = (key, data) => CONSTRAINT_WORDS[key].replace(/{(\w+)}/g, (match, name) => data[name])) {
+    let faces = "";
+    if (natural) {
+        faces = (natural.min === natural.max) ? format("Natural", { face: natural.min }) : format("NaturalRange", natural);
+    }
+    const hasMin = Number.isFinite(min);
+    const hasMax = Number.isFinite(max);
+    let total = "";
+    if (hasMin && hasMax) total = (min === max) ? format("Total", { total: min }) : format("TotalRange", { min, max });
+    else if (hasMin) total = format("TotalMin", { min });
+    else if (hasMax) total = format("TotalMax", { max });
+    return (faces && total) ? format("And", { natural: faces, total }) : (faces || total);
+};
+
+/**
+ * Describe the totals and natural d20 faces which give an outcome
+ * @param {string} outcome      One of "hit", "miss", "success", "failure", "critical" or "fumble"
+ * @param {number} targetValue  The AC or DC the total is judged against
+ * @param {number} critical     The lowest natural face which is a critical success
+ * @param {number} fumble       The highest natural face which is a critical failure
+ * @return {{min: number, max: number, natural: {min: number, max: number}|null}}
+ */
+export function outcomeConstraint(outcome, targetValue, critical, fumble) {
+    switch (outcome) {
+        case "hit": return { min: targetValue, natural: { min: fumble + 1, max: critical - 1 } };
+        case "miss": return { max: targetValue - 1, natural: { min: 1, max: critical - 1 } };
+        case "success": return { min: targetValue };
+        case "failure": return { max: targetValue - 1 };
+        case "critical": return { natural: { min: critical, max: 20 } };
+        case "fumble": return { natural: { min: 1, max: fumble } };
+    }
+    throw new Error(`Unknown fudge outcome "${outcome}".`);
+};
+
+/**
+ * Fudge an evaluated Roll so that its total, and optionally the natural face of its first d20, fall within bounds
+ * A Roll which already meets the bounds is left honest. Otherwise the natural face or total is drawn evenly from
+ * those which meet them, so that repeated fudges do not all land on the same number.
+ * @param {Roll} roll           An evaluated Roll instance, led by its d20 term or a pool holding it
+ * @param {number} min          The lowest acceptable total
+ * @param {number} max          The highest acceptable total
+ * @param {{min: number, max: number}|null} natural   The acceptable faces of the kept d20, if any
+ * @return {boolean}            Whether the bounds could be met, the Roll is left untouched if not
+ */
+export function fudgeToConstraint(roll, { min = -Infinity, max = Infinity, natural = null } = {}) {
+    if (_meetsConstraint(roll, { min, max, natural })) return true;
+
+    // Without a natural face to respect, draw any reachable total within the bounds
+    if (!natural) {
+        const reach = _reachable(fudgeRange(roll), min, max);
+        if (!reach) return false;
+        fudgeTotal(roll, reach.min + Math.floor(Math.random() * (reach.max - reach.min + 1)));
+        return true;
+    }
+
+    // Otherwise draw a natural face which leaves the rest of the roll room to meet the bounds
+    const lead = _leadD20(roll);
+    if (!lead) return false;
+    const rest = fudgeRange(roll, [lead.term]);
+    rest.min -= lead.term.total;
+    rest.max -= lead.term.total;
+    const faces = [];
+    const shown = _termRange(lead.d20);
+    for (let n = Math.max(natural.min, shown.min); n <= Math.min(natural.max, shown.max); n++) {
+        const value = _leadValue(lead, n);
+        if (_reachable({ min: value + rest.min, max: value + rest.max }, min, max)) faces.push(n);
+    }
+    if (!faces.length) return false;
+    const face = faces[Math.floor(Math.random() * faces.length)];
+
+    // Keep the rest of the roll as honest as the bounds allow
+    const value = _leadValue(lead, face);
+    const reach = _reachable({ min: value + rest.min, max: value + rest.max }, min, max);
+    const total = Math.min(Math.max(roll.total - lead.term.total + value, reach.min), reach.max);
+    _fudgeLead(lead, face);
+    fudgeTotal(refreshTotal(roll), total, [lead.term]);
+    return true;
+};
+
+/**
+ * Find the first d20 of a Roll, and the term of the Roll which holds it
+ * The d20 is the term itself for a plain roll, or one of the rolls of a pool such as Reliable Talent's {1d20,10}kh.
+ * Only pools whose other rolls hold no dice are followed, so the value of the term is known from the face alone.
+ * @param {Roll} roll           An evaluated Roll instance
+ * @return {{d20: Die, term: Die|DicePool, roll: Roll|null}|null}  The d20, its term and the roll of the pool it
+ *                              is in, or null if the Roll has no d20 whose natural face can be fudged
+ * @private
+ */
+function _leadD20(roll) {
+    const d20 = _firstD20(roll);
+    if (!isDie(d20) || !_termRange(d20)) return null;
+    if (roll.terms.includes(d20)) return { d20, term: d20, roll: null };
+    const term = roll.terms.find(t => isPool(t) && t.dice.includes(d20));
+    if (!term || (_poolKeep(term) === null)) return null;
+    const inner = term.rolls.find(r => r.dice.includes(d20));
+    if ((inner.dice.length !== 1) || term.rolls.some(r => (r !== inner) && r.dice.length)) return null;
+    return { d20, term, roll: inner };
+};
+
+/**
+ * Get the first d20 of a Roll, wherever it sits among the Roll's terms
+ * @param {Roll} roll           An evaluated Roll instance
+ * @return {Die|undefined}
+ * @private
+ */
+function _firstD20(roll) {
+    return roll.dice.find(d => d.faces === 20);
+};
+
+/**
+ * Work out the total the term holding a d20 would have if the d20 showed a natural face
+ * @param {{d20: Die, term: Die|DicePool, roll: Roll|null}} lead    The d20 and its term, as found by _leadD20
+ * @param {number} face         The natural face
+ * @return {number}
+ * @private
+ */
+function _leadValue({ d20, term, roll }, face) {
+    if (!roll) return face;
+    const totals = term.rolls.map(r => (r === roll) ? r.total - d20.total + face : r.total);
+    return _poolKeep(term) ? Math.max(...totals) : Math.min(...totals);
+};
+
+/**
+ * Set the natural face of a d20, keeping the pool which holds it, if any, on whichever roll now wins
+ * @param {{d20: Die, term: Die|DicePool, roll: Roll|null}} lead    The d20 and its term, as found by _leadD20
+ * @param {number} face         The natural face
+ * @private
+ */
+function _fudgeLead({ d20, term, roll }, face) {
+    _fudgeDie(d20, face);
+    if (!roll) return;
+    refreshTotal(roll);
+    const totals = term.rolls.map(r => r.total);
+    const kept = totals.indexOf(_poolKeep(term) ? Math.max(...totals) : Math.min(...totals));
+    term.results = totals.map((result, i) => {
+        const entry = { result, active: i === kept };
+        if (i !== kept) entry.discarded = true;
+        return entry;
+    });
+};
+
+/**
+ * Whether an evaluated Roll already falls within the bounds of a fudge
+ * @param {Roll} roll           An evaluated Roll instance, led by its d20 term or a pool holding it
+ * @param {{min: number, max: number, natural: {min: number, max: number}|null}} constraint
+ * @return {boolean}
+ * @private
+ */
+function _meetsConstraint(roll, { min = -Infinity, max = Infinity, natural = null }) {
+    const d20 = _firstD20(roll);
+    const isNatural = !natural || (isDie(d20) && (d20.total >= natural.min) && (d20.total <= natural.max));
+    return (roll.total >= min) && (roll.total <= max) && isNatural;
+};
+
+/**
+ * Fudge an evaluated Roll to meet any one of several constraints, such as the ways an outcome can be reached
+ * A Roll which already meets one of them is left honest, otherwise they are tried in the order given.
+ * @param {Roll} roll           An evaluated Roll instance, led by its d20 term
+ * @param {object[]} constraints    The constraints, as taken by fudgeToConstraint
+ * @return {boolean}            Whether any of them could be met, the Roll is left untouched if not
+ */
+export function fudgeToConstraints(roll, constraints) {
+    if (constraints.some(c => _meetsConstraint(roll, c))) return true;
+    return constraints.some(c => fudgeToConstraint(roll, c));
+};
+
+/**
+ * Narrow the range of totals a Roll can reach to those within bounds
+ * Totals step by one from the lowest, which is not a whole number when the formula carries a fraction,
+ * such as an initiative tiebreaker, so the bounds are compared with a little room for rounding error.
+ * @param {{min: number, max: number}} range  The lowest and highest total the Roll can reach
+ * @param {number} min              The lowest acceptable total
+ * @param {number} max              The highest acceptable total
+ * @return {{min: number, max: number}|null}  The reachable totals within bounds, or null if there are none
+ * @private
+ */
+function _reachable(range, min = -Infinity, max = Infinity) {
+    const lo = range.min + Math.max(Math.ceil(min - range.min - 1e-9), 0);
+    const hi = range.min + Math.floor(Math.min(max, range.max) - range.min + 1e-9);
+    return (lo <= hi) ? { min: lo, max: hi } : null;
+};
+
+/**
+ * Get the lowest and highest total a single dice term can be fudged to
+ * @param {DiceTerm|DicePool} term    An evaluated dice term
+ * @return {{min: number, max: number}|null}  The range, or null if the term cannot be fudged
+ * @private
+ */
+function _termRange(term) {
+    if (isDie(term)) {
+        const mods = _dieModifiers(term);
+        if (!mods) return null;
+        const kept = Math.min(mods.keep?.number ?? term.number, term.number);
+        return { min: kept * mods.minimum, max: kept * term.faces };
+    }
+    if (isPool(term)) {
+        const keep = _poolKeep(term);
+        if (keep === null) return null;
+        const ranges = term.rolls.map(r => fudgeRange(r));
+        const pick = keep ? Math.max : Math.min;
+        return { min: pick(...ranges.map(r => r.min)), max: pick(...ranges.map(r => r.max)) };
+    }
+    return null;
+};
+
+/**
+ * Parse the keep, reroll and minimum modifiers of a Die, the only ones the solver can work around
+ * Rerolls are written "r<3" on Foundry 0.7 and "r1=1" on later cores, where the leading number caps the rerolls.
+ * The minimum modifier is how later dnd5e versions apply Reliable Talent, as "min10".
+ * @param {Die} term            The Die term
+ * @return {{keep: {highest: boolean, number: number}|null, reroll: {comparison: string, target: number}|null,
+ *           minimum: number}|null}  The parsed modifiers, or null if the Die carries any other modifier
+ * @private
+ */
+function _dieModifiers(term) {
+    const mods = { keep: null, reroll: null, minimum: 1 };
+    for (let m of term.modifiers) {
+        const keep = m.match(/^k([hl])(\d+)?$/i);
+        const reroll = m.match(/^r(\d+)?([<>=]+)?(\d+)?$/i);
+        const minimum = m.match(/^min(\d+)$/i);
+        if (keep && !mods.keep) {
+            mods.keep = { highest: keep[1].toLowerCase() === "h", number: parseInt(keep[2]) || 1 };
+        }
+        else if (reroll && !mods.reroll) {
+            const target = reroll[2] ? reroll[3] : reroll[1];
+            mods.reroll = { comparison: reroll[2] || "=", target: parseInt(target) || 1 };
+        }
+        else if (minimum && (mods.minimum === 1)) {
+            mods.minimum = Math.min(parseInt(minimum[1]) || 1, term.faces);
+        }
+        else return null;
+    }
+    return mods;
+};
+
+/**
+ * Determine whether a DicePool keeps its highest or lowest roll
+ * @param {DicePool} term       The DicePool term
+ * @return {boolean|null}       True for keep-highest, false for keep-lowest, or null for any other pool
+ * @private
+ */
+function _poolKeep(term) {
+    if (term.modifiers.length !== 1) return null;
+    const keep = term.modifiers[0].match(/^k([hl])1?$/i);
+    return keep ? keep[1].toLowerCase() === "h" : null;
+};
+
+/**
+ * Test a die face against the comparison of a modifier, as DiceTerm.compareResult does
+ * @param {number} result       The die face
+ * @param {string} comparison   The comparison, one of "=", "<", "<=", ">" and ">="
+ * @param {number} target       The value the face is compared to
+ * @return {boolean}
+ * @private
+ */
+function _compareResult(result, comparison, target) {
+    switch (comparison) {
+        case "<": return result < target;
+        case "<=": return result <= target;
+        case ">": return result > target;
+        case ">=": return result >= target;
+        default: return result === target;
+    }
+};
+
+/**
+ * Set the faces of a Die so that its kept total matches a value
+ * Dropped dice are kept below (or above, for keep-lowest) the kept ones, and any face a reroll modifier
+ * would have caught is shown as already rerolled.
+ * @param {Die} term            The evaluated Die term
+ * @param {number} value        The total the kept dice should have
+ * @private
+ */
+function _fudgeDie(term, value) {
+    const { keep, reroll, minimum } = _dieModifiers(term);
+
+    // Group each final result with the rerolled results it replaced, counting any raised to the minimum as the minimum
+    let prior = [];
+    const dice = term.results.reduce((dice, r) => {
+        if (r.rerolled) prior.push(r);
+        else {
+            dice.push({ prior, result: Math.max(r.result, minimum) });
+            prior = [];
+        }
+        return dice;
+    }, []);
+
+    // The dice which rolled best stay kept, and share out the value
+    const highest = keep?.highest ?? true;
+    const order = dice.map((d, i) => i).sort((a, b) => highest ? dice[b].result - dice[a].result : dice[a].result - dice[b].result);
+    const kept = order.slice(0, keep?.number ?? dice.length);
+    const faces = _spreadTotal(kept.map(i => dice[i].result), value, kept.map(() => minimum), kept.map(() => term.faces));
+    kept.forEach((d, i) => dice[d].result = faces[i]);
+
+    // Dropped dice cannot beat the kept ones, any which would are rolled again among the faces that do not
+    const edge = highest ? Math.min(...faces) : Math.max(...faces);
+    for (let d of order.slice(kept.length)) {
+        const beats = highest ? dice[d].result > edge : dice[d].result < edge;
+        if (!beats) continue;
+        const low = highest ? minimum : edge;
+        const high = highest ? edge : term.faces;
+        dice[d].result = low + Math.floor(Math.random() * (high - low + 1));
+    }
+
+    // Rebuild the results, showing the reroll of any face the modifier would have caught
+    term.results = dice.reduce((results, d, i) => {
+        const result = { result: d.result, active: true };
+        if (!kept.includes(i)) {
+            result.active = false;
+            result.discarded = true;
+        }
+        let prior = d.prior;
+        if (reroll && !prior.length && _compareResult(d.result, reroll.comparison, reroll.target)) {
+            prior = [{ result: d.result, rerolled: true, active: false }];
+        }
+        return results.concat(prior, [result]);
+    }, []);
+};
+
+/**
+ * Set the rolls of a keep-highest or keep-lowest DicePool so that its kept roll matches a value
+ * This covers the Reliable Talent pool, where the d20 roll competes with a flat 10.
+ * @param {DicePool} term       The evaluated DicePool term
+ * @param {number} value        The total the kept roll should have
+ * @private
+ */
+function _fudgePool(term, value) {
+    const highest = _poolKeep(term);
+
+    // The roll which came closest to the value carries it, the others must not beat it
+    const candidates = term.rolls.map((r, i) => i).filter(i => {
+        const { min, max } = fudgeRange(term.rolls[i]);
+        return (min <= value) && (value <= max);
+    });
+    const kept = candidates.sort((a, b) => Math.abs(term.rolls[a].total - value) - Math.abs(term.rolls[b].total - value))[0];
+    term.rolls.forEach((r, i) => {
+        if (i === kept) fudgeTotal(r, value);
+        else fudgeTotal(r, highest ? Math.min(r.total, value) : Math.max(r.total, value));
+    });
+    term.results = term.rolls.map((r, i) => {
+        const result = { result: r.total, active: i === kept };
+        if (i !== kept) result.discarded = true;
+        return result;
+    });
+};
+
+/**
+ * Nudge a list of values until they add up to a total, keeping each value within its bounds
+ * Each step moves a random value as far as it needs to or can, so this finishes in at most one step per value
+ * @param {number[]} values     The starting values
+ * @param {number} total        The total the values should add up to
+ * @param {number[]} mins       The lowest each value may go
+ * @param {number[]} maxs       The highest each value may go
+ * @return {number[]}           The nudged values
+ * @private
+ */
+function _spreadTotal(values, total, mins, maxs) {
+    const spread = values.slice();
+    let diff = total - spread.reduce((t, v) => t + v, 0);
+    while (diff !== 0) {
+        const step = Math.sign(diff);
+        const open = spread.map((v, i) => i).filter(i => step > 0 ? spread[i] < maxs[i] : spread[i] > mins[i]);
+        const i = open[Math.floor(Math.random() * open.length)];
+        const room = step > 0 ? maxs[i] - spread[i] : spread[i] - mins[i];
+        const shift = Math.min(room, Math.abs(diff));
+        spread[i] += step * shift;
+        diff -= step * shift;
+    }
+    return spread;
+};
+
+/**
+ * Work out the chance that a Roll lands within the bounds of a fudge
+ * @param {Roll} roll               An evaluated Roll instance, led by its d20 term or a pool holding it
+ * @param {{min: number, max: number, natural: {min: number, max: number}|null}} constraint
+ * @return {number|null}            The chance, or null if the formula cannot be modelled
+ */
+export function constraintChance(roll, { min = -Infinity, max = Infinity, natural = null }) {
+    const inBounds = total => (total >= min) && (total <= max);
+    if (!natural) {
+        const dist = rollDistribution(roll);
+        if (!dist) return null;
+        return Array.from(dist).reduce((chance, [total, p]) => inBounds(total) ? chance + p : chance, 0);
+    }
+
+    // A natural face is only meaningful for a d20 the solver can fudge, whose term is weighed against the rest of the roll
+    const lead = _leadD20(roll);
+    if (!lead) return 0;
+    const faces = _termDistribution(lead.d20);
+    const rest = rollDistribution(roll, [lead.term]);
+    if (!faces || !rest) return null;
+    let chance = 0;
+    for (let [face, pf] of faces) {
+        if ((face < natural.min) || (face > natural.max)) continue;
+        const value = _leadValue(lead, face);
+        for (let [total, pr] of rest) {
+            if (inBounds(value + total)) chance += pf * pr;
+        }
+    }
+    return chance;
+};
+
+/**
+ * Work out the exact probability of each total a Roll can produce
+ * @param {Roll} roll               An evaluated Roll instance
+ * @param {DiceTerm[]} locked       Terms left out of the distribution, as if they added nothing to the total
+ * @return {Map<number, number>|null}  The chance of each total, or null if any dice term cannot be modelled
+ */
+export function rollDistribution(roll, locked = []) {
+    const { constant, dice } = _fudgeTerms(roll, locked);
+    const rolled = roll.terms.filter(t => isDiceTerm(t) || isPool(t));
+    if (rolled.length !== dice.length + locked.length) return null;
+    let dist = new Map([[constant - locked.reduce((t, term) => t + term.total, 0), 1]]);
+    for (let { term, sign } of dice) {
+        const termDist = _termDistribution(term);
+        if (!termDist) return null;
+        dist = _convolve(dist, termDist, sign);
+    }
+    return dist;
+};
+
+/**
+ * Work out the exact probability of each total a single dice term can produce
+ * @param {DiceTerm|DicePool} term  An evaluated dice term which the solver can fudge
+ * @return {Map<number, number>|null}  The chance of each total, or null if the term cannot be modelled
+ * @private
+ */
+function _termDistribution(term) {
+    if (isPool(term)) {
+        const dists = term.rolls.map(r => rollDistribution(r));
+        if (dists.includes(null)) return null;
+        return _keepDistribution(dists, _poolKeep(term));
+    }
+
+    // Each die on its own, including a single reroll of any face the modifier catches and faces raised to the minimum
+    const { keep, reroll, minimum } = _dieModifiers(term);
+    const rolled = Array.from({ length: term.faces }, (_, f) => f + 1);
+    const rerolled = reroll ? rolled.filter(f => _compareResult(f, reroll.comparison, reroll.target)) : [];
+    const single = rolled.reduce((single, f) => {
+        const p = (rerolled.includes(f) ? 0 : 1 / term.faces) + (rerolled.length / term.faces / term.faces);
+        const face = Math.max(f, minimum);
+        return single.set(face, (single.get(face) || 0) + p);
+    }, new Map());
+    const faces = Array.from(single.keys());
+    const dice = Array(term.number).fill(single);
+    if (!keep || (keep.number >= term.number)) return dice.reduce((dist, d) => _convolve(dist, d, 1), new Map([[0, 1]]));
+    if (keep.number === 1) return _keepDistribution(dice, keep.highest);
+
+    // Keeping several of many dice has no shortcut, so only small pools are worked out in full
+    if (Math.pow(term.faces, term.number) > 50000) return null;
+    let outcomes = [{ faces: [], p: 1 }];
+    for (let i = 0; i < term.number; i++) {
+        outcomes = outcomes.flatMap(o => faces.map(f => ({ faces: o.faces.concat([f]), p: o.p * single.get(f) })));
+    }
+    return outcomes.reduce((dist, o) => {
+        const sorted = o.faces.sort((a, b) => keep.highest ? b - a : a - b);
+        const total = sorted.slice(0, keep.number).reduce((t, f) => t + f, 0);
+        return dist.set(total, (dist.get(total) || 0) + o.p);
+    }, new Map());
+};
+
+/**
+ * Combine independent distributions by keeping only the highest or lowest of their results
+ * @param {Array<Map<number, number>>} dists  The distributions of each kept candidate
+ * @param {boolean} highest         Keep the highest result, rather than the lowest
+ * @return {Map<number, number>}
+ * @private
+ */
+function _keepDistribution(dists, highest) {
+    const totals = Array.from(new Set(dists.flatMap(d => Array.from(d.keys())))).sort((a, b) => a - b);
+    const atMost = (d, v) => Array.from(d).reduce((c, [t, p]) => t <= v ? c + p : c, 0);
+
+    // The chance that every candidate stays on the kept side of a total
+    const kept = v => highest ? dists.reduce((c, d) => c * atMost(d, v), 1)
+        : 1 - dists.reduce((c, d) => c * (1 - atMost(d, v)), 1);
+    return totals.reduce((dist, v, i) => {
+        const below = i ? kept(totals[i - 1]) : 0;
+        return dist.set(v, kept(v) - below);
+    }, new Map());
+};
+
+/**
+ * Combine two independent distributions by adding, or subtracting, their results
+ * @param {Map<number, number>} a   The first distribution
+ * @param {Map<number, number>} b   The second distribution
+ * @param {number} sign             1 to add the second distribution, -1 to subtract it
+ * @return {Map<number, number>}
+ * @private
+ */
+function _convolve(a, b, sign) {
+    const dist = new Map();
+    for (let [x, px] of a) {
+        for (let [y, py] of b) {
+            const total = x + (sign * y);
+            dist.set(total, (dist.get(total) || 0) + (px * py));
+        }
+    }
+    return dist;
+};
+
+/**
+ * The degrees of success of Pathfinder 2e, from worst to best
+ */
+export const PF2E_DEGREES = ["criticalFailure", "failure", "success", "criticalSuccess"];
+
+/**
+ * Describe the totals and natural d20 faces which reach a Pathfinder 2e degree of success
+ * A natural 20 raises the degree a total gives by one step and a natural 1 lowers it, so each degree can be reached
+ * by up to three sets of totals. The set for any other natural face comes first, as the least surprising fudge.
+ * @param {number} degree       The index of the degree within PF2E_DEGREES
+ * @param {number} dc           The DC the total is judged against
+ * @return {{min: number, max: number, natural: {min: number, max: number}}[]}
+ */
+export function degreeConstraints(degree, dc) {
+    const totals = [{ max: dc - 10 }, { min: dc - 9, max: dc - 1 }, { min: dc, max: dc + 9 }, { min: dc + 10 }];
+    const constraints = [{ ...totals[degree], natural: { min: 2, max: 19 } }];
+    if (degree > 0) constraints.push({ ...((degree === 3) ? { min: dc } : totals[degree - 1]), natural: { min: 20, max: 20 } });
+    if (degree < 3) constraints.push({ ...((degree === 0) ? { max: dc - 1 } : totals[degree + 1]), natural: { min: 1, max: 1 } });
+    return constraints;
+};
+
+/**
+ * Work out the Pathfinder 2e degree of success an evaluated roll reaches against a DC
+ * @param {Roll} roll           An evaluated Roll instance, led by its d20 term
+ * @param {number} dc           The DC the total is judged against
+ * @return {string}             The degree, one of PF2E_DEGREES
+ */
+export function pf2eDegree(roll, dc) {
+    const total = roll.total;
+    let degree = (total >= dc + 10) ? 3 : (total >= dc) ? 2 : (total > dc - 10) ? 1 : 0;
+    const natural = _firstD20(roll)?.total;
+    if (natural === 20) degree = Math.min(degree + 1, 3);
+    else if (natural === 1) degree = Math.max(degree - 1, 0);
+    return PF2E_DEGREES[degree];
+};
+
+/**
+ * Work out which sides of a contest to fudge, and to which totals, so that the first total leads the second within bounds
+ * Fudging one side is preferred, whichever needs the smaller change. Only when neither can get there alone are both
+ * moved, the second side as little as possible.
+ * @param {Roll[]} rolls            The evaluated roll of each side
+ * @param {{min: number, max: number}} lead  How far the first total may lead the second, negative if it trails
+ * @return {{index: number, min: number, max: number}[]|null}  The fudges to make, none if the rolls already give the
+ *                                  result, or null if the result cannot be reached
+ */
+export function contestPlan(rolls, lead) {
+    const options = [
+        _contestFudge(rolls[0], rolls[1].total + lead.min, rolls[1].total + lead.max),
+        _contestFudge(rolls[1], rolls[0].total - lead.max, rolls[0].total - lead.min)
+    ];
+    const best = [0, 1].filter(i => options[i]).sort((a, b) => options[a].change - options[b].change)[0];
+    if (best !== undefined) return options[best].change ? [{ index: best, ...options[best] }] : [];
+
+    // Move the second total step by step away from its honest one until the first can meet it
+    const range = fudgeRange(rolls[1]);
+    const honest = rolls[1].total;
+    const totals = Array.from({ length: range.max - range.min + 1 }, (_, n) => range.min + n)
+        .sort((a, b) => Math.abs(a - honest) - Math.abs(b - honest));
+    for (let total of totals) {
+        const first = _contestFudge(rolls[0], total + lead.min, total + lead.max);
+        if (first) return [{ index: 1, min: total, max: total }, { index: 0, ...first }];
+    }
+    return null;
+};
+
+/**
+ * Work out the totals a contested roll should be fudged to, as close to its honest total as the bounds allow
+ * @param {Roll} roll               An evaluated Roll instance
+ * @param {number} min              The lowest total which gives the result
+ * @param {number} max              The highest total which gives the result
+ * @return {{min: number, max: number, change: number}|null}  A few totals next to the honest one and how far they are
+ *                                  from it, or null if no total the roll can reach gives the result
+ * @private
+ */
+function _contestFudge(roll, min, max) {
+    const reach = _reachable(fudgeRange(roll), min, max);
+    if (!reach) return null;
+    const total = roll.total;
+    const nearest = Math.min(Math.max(total, reach.min), reach.max);
+    if (nearest === total) return { min: total, max: total, change: 0 };
+
+    // Leave a little room past the nearest total, so a fudged side does not always scrape by
+    if (nearest > total) return { min: nearest, max: Math.min(nearest + 3, reach.max), change: nearest - total };
+    return { min: Math.max(nearest - 3, reach.min), max: nearest, change: total - nearest };
+};
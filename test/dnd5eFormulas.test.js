@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { bard, fighter, items, rogue } from "./foundry.js";
+import {
+    abilitySaveParts, abilityTestParts, attackParts, d20Formula, deathSaveParts, skillCheckParts, toolCheckParts
+} from "../dnd5eFormulas.js";
+
+test("d20Formula builds the d20 term for each combination of advantage and feats", () => {
+    assert.equal(d20Formula(0), "1d20");
+    assert.equal(d20Formula(1), "2d20kh");
+    assert.equal(d20Formula(-1), "2d20kl");
+    assert.equal(d20Formula(1, { elvenAccuracy: true }), "3d20kh");
+    assert.equal(d20Formula(-1, { elvenAccuracy: true }), "2d20kl");
+    assert.equal(d20Formula(0, { halflingLucky: true }), "1d20r=1");
+    assert.equal(d20Formula(1, { halflingLucky: true }), "2d20r=1kh");
+    assert.equal(d20Formula(0, { reliableTalent: true }), "{1d20,10}kh");
+    assert.equal(d20Formula(-1, { halflingLucky: true, reliableTalent: true }), "{2d20r=1kl,10}kh");
+});
+
+test("skillCheckParts adds proficiency, bonuses and reliable talent only where proficient", () => {
+    const stealth = skillCheckParts(rogue.data, "ste", rogue.flags);
+    assert.deepEqual(stealth.parts, ["@mod", "@checkBonus"]);
+    assert.deepEqual(stealth.data, { mod: 10, checkBonus: "1" });
+    assert.equal(stealth.reliableTalent, true);
+    assert.equal(stealth.halflingLucky, true);
+    assert.equal(skillCheckParts(rogue.data, "acr", rogue.flags).reliableTalent, false);
+    assert.equal(skillCheckParts(fighter.data, "ath", fighter.flags).reliableTalent, false);
+});
+
+test("abilityTestParts applies remarkable athlete to physical abilities and jack of all trades to any", () => {
+    const strength = abilityTestParts(fighter.data, "str", fighter.flags);
+    assert.deepEqual(strength.parts, ["@mod", "@proficiency"]);
+    assert.deepEqual(strength.data, { mod: 4, proficiency: 2 });
+    assert.deepEqual(abilityTestParts(fighter.data, "int", fighter.flags).parts, ["@mod"]);
+    assert.deepEqual(abilityTestParts(bard.data, "int", bard.flags).data, { mod: 0, proficiency: 1 });
+    assert.deepEqual(abilityTestParts(rogue.data, "dex", rogue.flags).parts, ["@mod", "@checkBonus"]);
+});
+
+test("abilitySaveParts adds proficiency and the global save bonus", () => {
+    assert.deepEqual(abilitySaveParts(fighter.data, "con", fighter.flags).data, { mod: 3, prof: 3, saveBonus: "2" });
+    assert.deepEqual(abilitySaveParts(fighter.data, "wis", fighter.flags).parts, ["@mod", "@saveBonus"]);
+    assert.deepEqual(abilitySaveParts(bard.data, "str", bard.flags).parts, ["@mod"]);
+    assert.deepEqual(deathSaveParts(fighter.data, fighter.flags).parts, ["@saveBonus"]);
+    assert.deepEqual(deathSaveParts(bard.data, bard.flags).parts, []);
+});
+
+test("check and save parts read the Proficiency objects of later dnd5e versions", () => {
+    const data = structuredClone(rogue.data);
+    data.skills.ste.prof = { flat: 6, term: "6" };
+    data.abilities.dex.prof = { flat: 3, term: "3" };
+    assert.deepEqual(skillCheckParts(data, "ste", rogue.flags).data, skillCheckParts(rogue.data, "ste", rogue.flags).data);
+    assert.deepEqual(abilitySaveParts(data, "dex", rogue.flags).data, { mod: 4, prof: 3 });
+});
+
+test("toolCheckParts grants reliable talent with a proficient tool", () => {
+    assert.equal(toolCheckParts(items.thievesTools.data, rogue.flags).reliableTalent, true);
+    assert.equal(toolCheckParts({ proficient: 0.5 }, rogue.flags).reliableTalent, false);
+});
+
+test("attackParts picks proficiency, attack bonuses and the d20 options of the attacker's feats", () => {
+    const { longbow, greatsword, improvised, fireBolt } = items;
+    const bow = attackParts(longbow.type, longbow.data, longbow.abilityMod, rogue.data, rogue.flags);
+    assert.deepEqual(bow.parts, ["@mod", "@prof", "@atk"]);
+    assert.deepEqual(bow.data, { atk: "1 + 1" });
+    assert.deepEqual(bow.options, { elvenAccuracy: true, halflingLucky: true });
+
+    const sword = attackParts(greatsword.type, greatsword.data, greatsword.abilityMod, fighter.data, fighter.flags);
+    assert.deepEqual(sword.parts, ["@mod", "@prof"]);
+    assert.deepEqual(sword.options, { critical: 19 });
+
+    assert.deepEqual(attackParts(improvised.type, improvised.data, improvised.abilityMod, fighter.data, {}).parts, ["@mod"]);
+    assert.deepEqual(attackParts(greatsword.type, greatsword.data, "str", rogue.data, rogue.flags).options, { halflingLucky: true });
+    assert.deepEqual(attackParts(fireBolt.type, fireBolt.data, fireBolt.abilityMod, rogue.data, { elvenAccuracy: true }).options,
+        { elvenAccuracy: true });
+    assert.deepEqual(attackParts(fireBolt.type, fireBolt.data, fireBolt.abilityMod, fighter.data, fighter.flags).options, {});
+});
@@ -0,0 +1,304 @@
+/**
+ * A small stand-in for the parts of Foundry and dnd5e which the roll math touches: dice terms, a Roll which parses and
+ * evaluates the formulas the module builds, CONFIG.DND5E and a few actors and items. Importing it installs the globals.
+ * Only what the tests need is modelled. Die modifiers cover keep, a single reroll and minimum, and pools only keep.
+ */
+
+export class DiceTerm {
+    constructor({ number = 1, faces = 6, modifiers = [], results = [], options = {} } = {}) {
+        this.number = number;
+        this.faces = faces;
+        this.modifiers = modifiers;
+        this.results = results;
+        this.options = options;
+    }
+
+    get total() {
+        return this.results.reduce((t, r) => r.active ? t + r.result : t, 0);
+    }
+
+    get dice() {
+        return [this];
+    }
+}
+
+export class Die extends DiceTerm {
+    evaluate() {
+        const keep = this.modifiers.map(m => m.match(/^k([hl])(\d+)?$/i)).find(m => m);
+        const reroll = this.modifiers.map(m => m.match(/^r(\d+)?([<>=]+)?(\d+)?$/i)).find(m => m);
+        const minimum = this.modifiers.map(m => m.match(/^min(\d+)$/i)).find(m => m);
+        const target = reroll && parseInt(reroll[2] ? reroll[3] : reroll[1]);
+        this.results = [];
+        const kept = [];
+        for (let n = 0; n < this.number; n++) {
+            let result = rollFace(this.faces);
+            if (reroll && compare(result, reroll[2] || "=", target)) {
+                this.results.push({ result, rerolled: true, active: false });
+                result = rollFace(this.faces);
+            }
+            if (minimum) result = Math.max(result, parseInt(minimum[1]));
+            const final = { result, active: true };
+            this.results.push(final);
+            kept.push(final);
+        }
+        if (keep) {
+            const highest = keep[1].toLowerCase() === "h";
+            const sorted = kept.slice().sort((a, b) => highest ? b.result - a.result : a.result - b.result);
+            for (let r of sorted.slice(parseInt(keep[2]) || 1)) {
+                r.active = false;
+                r.discarded = true;
+            }
+        }
+        return this;
+    }
+}
+
+export class PoolTerm {
+    constructor({ rolls = [], modifiers = [] } = {}) {
+        this.rolls = rolls;
+        this.modifiers = modifiers;
+        this.results = [];
+    }
+
+    get total() {
+        return this.results.reduce((t, r) => r.active ? t + r.result : t, 0);
+    }
+
+    get dice() {
+        return this.rolls.flatMap(r => r.dice);
+    }
+
+    evaluate() {
+        this.rolls.forEach(r => r.evaluate());
+        const highest = this.modifiers[0]?.toLowerCase() !== "kl";
+        const totals = this.rolls.map(r => r.total);
+        const kept = totals.indexOf(highest ? Math.max(...totals) : Math.min(...totals));
+        this.results = totals.map((result, i) => (i === kept) ? { result, active: true } : { result, active: false, discarded: true });
+        return this;
+    }
+}
+
+export class OperatorTerm {
+    constructor({ operator }) {
+        this.operator = operator;
+    }
+}
+
+export class NumericTerm {
+    constructor({ number }) {
+        this.number = number;
+    }
+
+    get total() {
+        return this.number;
+    }
+}
+
+export class Roll {
+    constructor(formula, data = {}) {
+        this.data = data;
+        this.formula = formula.replace(/@([\w.]+)/g, (match, path) => {
+            const value = path.split(".").reduce((d, key) => d?.[key], data);
+            return (value === undefined) ? "0" : `${value}`;
+        });
+        this.terms = Roll.parse(this.formula);
+        this.options = {};
+        this._evaluated = false;
+    }
+
+    /**
+     * Split a formula into terms at the operators which are not inside a pool
+     */
+    static parse(formula) {
+        const tokens = [];
+        let depth = 0;
+        let token = "";
+        for (let c of formula.replace(/\s+/g, "")) {
+            if (c === "{") depth++;
+            if (c === "}") depth--;
+            if (!depth && "+-*/".includes(c) && token) {
+                tokens.push(token, c);
+                token = "";
+            }
+            else token += c;
+        }
+        tokens.push(token);
+        return tokens.map(t => {
+            if ("+-*/".includes(t)) return new OperatorTerm({ operator: t });
+            const pool = t.match(/^\{(.+)\}(k[hl])?$/i);
+            if (pool) return new PoolTerm({ rolls: pool[1].split(",").map(f => new Roll(f)), modifiers: pool[2] ? [pool[2]] : [] });
+            const die = t.match(/^(\d*)d(\d+)(.*)$/i);
+            if (die) {
+                const modifiers = die[3].match(/kh\d*|kl\d*|r\d*[<>=]*\d*|min\d+/gi) ?? [];
+                return new Die({ number: parseInt(die[1]) || 1, faces: parseInt(die[2]), modifiers });
+            }
+            return new NumericTerm({ number: Number(t) });
+        });
+    }
+
+    get dice() {
+        return this.terms.flatMap(t => t.dice ?? []);
+    }
+
+    get total() {
+        return this._total;
+    }
+
+    evaluate() {
+        this.terms.forEach(t => t.evaluate?.());
+        this._total = this._evaluateTotal();
+        this._evaluated = true;
+        return this;
+    }
+
+    _evaluateTotal() {
+        const expression = this.terms.map(t => (t instanceof OperatorTerm) ? t.operator : t.total).join(" ");
+        return Function(`"use strict"; return (${expression});`)();
+    }
+
+    async render() {
+        return `<div class="dice-roll">${this.formula} = ${this.total}</div>`;
+    }
+
+    async toMessage(messageData = {}, options = {}) {
+        return ChatMessage.create({ ...messageData, rolls: [JSON.stringify(this)] }, options);
+    }
+
+    toJSON() {
+        return { class: "Roll", formula: this.formula, terms: this.terms.map(termJSON), total: this._total, evaluated: this._evaluated };
+    }
+
+    static fromJSON(json) {
+        return termFromJSON(JSON.parse(json));
+    }
+}
+
+/**
+ * Evaluate a formula honestly, as the module would before fudging it
+ * @param {string} formula
+ * @param {object} data
+ * @return {Roll}
+ */
+export function evaluated(formula, data = {}) {
+    return new Roll(formula, data).evaluate();
+}
+
+/**
+ * Take a snapshot of the results of a Roll, to check that a failed fudge leaves it untouched
+ * @param {Roll} roll
+ * @return {string}
+ */
+export function snapshot(roll) {
+    return JSON.stringify({ total: roll.total, terms: roll.terms.map(t => t.results ?? t.rolls?.map(r => snapshot(r)) ?? t) });
+}
+
+const termClasses = { Roll, Die, PoolTerm, OperatorTerm, NumericTerm };
+
+function termJSON(term) {
+    if (term instanceof Roll) return term.toJSON();
+    const json = { class: term.constructor.name, ...term };
+    if (term.rolls) json.rolls = term.rolls.map(termJSON);
+    return json;
+}
+
+function termFromJSON({ class: name, ...data }) {
+    const term = Object.create(termClasses[name].prototype);
+    if (name === "Roll") {
+        return Object.assign(term, { formula: data.formula, data: {}, options: {}, terms: data.terms.map(termFromJSON),
+            _total: data.total, _evaluated: data.evaluated });
+    }
+    Object.assign(term, data);
+    if (data.rolls) term.rolls = data.rolls.map(termFromJSON);
+    return term;
+}
+
+function rollFace(faces) {
+    return 1 + Math.floor(Math.random() * faces);
+}
+
+function compare(result, comparison, target) {
+    return { "<": result < target, "<=": result <= target, ">": result > target, ">=": result >= target }[comparison]
+        ?? (result === target);
+}
+
+globalThis.Die = Die;
+globalThis.DiceTerm = DiceTerm;
+globalThis.PoolTerm = PoolTerm;
+globalThis.OperatorTerm = OperatorTerm;
+globalThis.NumericTerm = NumericTerm;
+globalThis.Roll = Roll;
+globalThis.CONFIG = {
+    DND5E: {
+        abilities: { str: "Strength", dex: "Dexterity", con: "Constitution", int: "Intelligence", wis: "Wisdom", cha: "Charisma" },
+        skills: { acr: "Acrobatics", ath: "Athletics", ins: "Insight", ste: "Stealth" },
+        characterFlags: {
+            remarkableAthlete: { abilities: ["str", "dex", "con"] }
+        }
+    }
+};
+globalThis.game = { release: { generation: 11 }, system: { id: "dnd5e" } };
+
+/**
+ * A level 5 rogue with a +3 proficiency bonus, expertise in stealth and a global check bonus
+ */
+export const rogue = {
+    data: {
+        abilities: {
+            str: { mod: 0, prof: 0 }, dex: { mod: 4, prof: 3 }, con: { mod: 1, prof: 0 },
+            int: { mod: 2, prof: 3 }, wis: { mod: 0, prof: 0 }, cha: { mod: -1, prof: 0 }
+        },
+        skills: {
+            acr: { value: 0.5, mod: 4, prof: 1 }, ath: { value: 0, mod: 0, prof: 0 },
+            ins: { value: 1, mod: 0, prof: 3 }, ste: { value: 2, mod: 4, prof: 6 }
+        },
+        attributes: { prof: 3 },
+        bonuses: { abilities: { check: "1", save: "", skill: "" }, rwak: { attack: "1", damage: "" } }
+    },
+    flags: { reliableTalent: true, elvenAccuracy: true, halflingLucky: true }
+};
+
+/**
+ * A level 7 fighter with a +3 proficiency bonus, the champion's improved critical and remarkable athlete
+ */
+export const fighter = {
+    data: {
+        abilities: {
+            str: { mod: 4, prof: 3 }, dex: { mod: 1, prof: 0 }, con: { mod: 3, prof: 3 },
+            int: { mod: 0, prof: 0 }, wis: { mod: 1, prof: 0 }, cha: { mod: 0, prof: 0 }
+        },
+        skills: {
+            acr: { value: 0, mod: 1, prof: 0 }, ath: { value: 1, mod: 4, prof: 3 },
+            ins: { value: 0, mod: 1, prof: 0 }, ste: { value: 0, mod: 1, prof: 0 }
+        },
+        attributes: { prof: 3 },
+        bonuses: { abilities: { check: "", save: "2", skill: "" }, mwak: { attack: "", damage: "2" } }
+    },
+    flags: { remarkableAthlete: true, weaponCriticalThreshold: "19" }
+};
+
+/**
+ * A level 6 bard with a +3 proficiency bonus and jack of all trades
+ */
+export const bard = {
+    data: {
+        abilities: {
+            str: { mod: -1, prof: 0 }, dex: { mod: 2, prof: 3 }, con: { mod: 1, prof: 0 },
+            int: { mod: 0, prof: 0 }, wis: { mod: 1, prof: 0 }, cha: { mod: 4, prof: 3 }
+        },
+        skills: {
+            acr: { value: 0, mod: 2, prof: 1 }, ath: { value: 0, mod: -1, prof: 1 },
+            ins: { value: 1, mod: 1, prof: 3 }, ste: { value: 0, mod: 2, prof: 1 }
+        },
+        attributes: { prof: 3 },
+        bonuses: {}
+    },
+    flags: { jackOfAllTrades: true }
+};
+
+export const items = {
+    longbow: { type: "weapon", abilityMod: "dex", data: { proficient: true, actionType: "rwak", attackBonus: "1", damage: { parts: [["1d8 + @mod", "piercing"]] } } },
+    greatsword: { type: "weapon", abilityMod: "str", data: { proficient: true, actionType: "mwak", attackBonus: "", damage: { parts: [["2d6 + @mod", "slashing"]] } } },
+    improvised: { type: "weapon", abilityMod: "str", data: { proficient: false, actionType: "mwak", attackBonus: "", damage: { parts: [["1d4 + @mod", "bludgeoning"]] } } },
+    fireBolt: { type: "spell", abilityMod: "int", data: { actionType: "rsak", attackBonus: "", damage: { parts: [["2d10", "fire"]] } } },
+    thievesTools: { type: "tool", abilityMod: "dex", data: { proficient: 2 } }
+};
@@ -0,0 +1,155 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { evaluated, snapshot } from "./foundry.js";
+import {
+    constraintChance, contestPlan, degreeConstraints, describeConstraint, fudgeRange, fudgeToConstraint, fudgeToConstraints,
+    fudgeTotal, outcomeConstraint, pf2eDegree, rollDistribution, targetConstraint
+} from "../rollMath.js";
+
+test("fudgeRange spans the totals each kind of term can reach", () => {
+    const ranges = {
+        "1d20 + 5": [6, 25],
+        "2d20kh + 3": [4, 23],
+        "3d20kh - 1": [0, 19],
+        "2d20kl": [1, 20],
+        "1d20r=1 + 2": [3, 22],
+        "{1d20,10}kh + 7": [17, 27],
+        "{2d20r=1kh,10}kh": [10, 20],
+        "1d20min10 + 1": [11, 21],
+        "2d6 + 1d4 + 2": [5, 18],
+        "1d20 - 1d4": [-3, 19]
+    };
+    for (let [formula, [min, max]] of Object.entries(ranges)) {
+        assert.deepEqual(fudgeRange(evaluated(formula)), { min, max }, formula);
+    }
+
+    // Dice which are scaled by another term are left as rolled
+    const scaled = evaluated("1d8 * 2");
+    assert.deepEqual(fudgeRange(scaled), { min: scaled.total, max: scaled.total });
+});
+
+test("fudgeTotal hits every total in range and keeps the dice consistent", () => {
+    for (let formula of ["2d20kh + 3", "2d20kl - 2", "3d20r=1kh + 1", "{1d20,10}kh + 4", "4d6 + 2", "1d20min10"]) {
+        const { min, max } = fudgeRange(evaluated(formula));
+        for (let total = min; total <= max; total++) {
+            const roll = fudgeTotal(evaluated(formula), total);
+            assert.equal(roll.total, total, `${formula} to ${total}`);
+            assert.equal(roll._evaluateTotal(), total, `${formula} to ${total} recomputed`);
+            for (let die of roll.dice) {
+                const kept = die.results.filter(r => r.active).map(r => r.result);
+                const dropped = die.results.filter(r => r.discarded).map(r => r.result);
+                assert.ok(kept.every(r => (r >= 1) && (r <= die.faces)), `${formula} faces ${kept}`);
+                if (die.modifiers.includes("kh")) assert.ok(dropped.every(r => r <= Math.min(...kept)), `${formula} drops ${dropped}`);
+                if (die.modifiers.includes("kl")) assert.ok(dropped.every(r => r >= Math.max(...kept)), `${formula} drops ${dropped}`);
+            }
+        }
+    }
+});
+
+test("fudgeTotal shows a natural one under halfling luck as rerolled", () => {
+    const roll = fudgeTotal(evaluated("1d20r=1"), 1);
+    assert.deepEqual(roll.dice[0].results.map(r => r.rerolled ?? false), [true, false]);
+});
+
+test("fudgeTotal refuses totals out of range", () => {
+    const roll = evaluated("1d20 + 5");
+    assert.throws(() => fudgeTotal(roll, 26), /cannot total 26, it ranges from 6 to 25/);
+    assert.throws(() => fudgeTotal(roll, 5), /cannot total 5/);
+});
+
+test("fudgeToConstraint leaves a roll untouched when the bounds cannot be met", () => {
+    const roll = evaluated("2d20kh + 3");
+    const before = snapshot(roll);
+    assert.equal(fudgeToConstraint(roll, { min: 24 }), false);
+    assert.equal(fudgeToConstraint(roll, { max: 3 }), false);
+    assert.equal(fudgeToConstraint(roll, { min: 10, natural: { min: 21, max: 25 } }), false);
+    assert.equal(fudgeToConstraint(roll, { max: 5, natural: { min: 20, max: 20 } }), false);
+    assert.equal(fudgeToConstraints(roll, [{ min: 30 }, { max: 0 }]), false);
+    assert.equal(snapshot(roll), before);
+});
+
+test("fudgeToConstraint keeps an honest roll which already meets the bounds", () => {
+    const roll = evaluated("1d20 + 5");
+    const before = snapshot(roll);
+    assert.equal(fudgeToConstraint(roll, { min: 6, max: 25 }), true);
+    assert.equal(snapshot(roll), before);
+});
+
+test("fudgeToConstraint meets a natural face and a total together", () => {
+    for (let i = 0; i < 50; i++) {
+        const roll = evaluated("1d20 + 1d4 + 2");
+        assert.equal(fudgeToConstraint(roll, { min: 24, natural: { min: 20, max: 20 } }), true);
+        assert.equal(roll.dice[0].total, 20);
+        assert.ok(roll.total >= 24);
+    }
+});
+
+test("targetConstraint and describeConstraint read the targets the dialogs build", () => {
+    assert.deepEqual(targetConstraint(15), { min: 15, max: 15 });
+    assert.deepEqual(targetConstraint({ min: 10, natural: 20 }), { min: 10, natural: { min: 20, max: 20 } });
+    assert.equal(targetConstraint({}), null);
+    assert.equal(targetConstraint(null), null);
+    assert.equal(describeConstraint({ min: 15, max: 15 }), "a total of 15");
+    assert.equal(describeConstraint({ min: 10, max: 12 }), "a total between 10 and 12");
+    assert.equal(describeConstraint({ max: 9, natural: { min: 1, max: 1 } }), "a natural 1 and a total of at most 9");
+    const format = (key, data) => `${key}(${Object.values(data).join(",")})`;
+    assert.equal(describeConstraint({ min: 5, natural: { min: 19, max: 20 } }, format), "And(NaturalRange(19,20),TotalMin(5))");
+});
+
+test("outcomeConstraint judges hits and misses apart from criticals and fumbles", () => {
+    assert.deepEqual(outcomeConstraint("hit", 15, 19, 1), { min: 15, natural: { min: 2, max: 18 } });
+    assert.deepEqual(outcomeConstraint("miss", 15, 20, 1), { max: 14, natural: { min: 1, max: 19 } });
+    assert.deepEqual(outcomeConstraint("critical", 15, 19, 1), { natural: { min: 19, max: 20 } });
+    assert.throws(() => outcomeConstraint("graze", 15, 20, 1), /Unknown fudge outcome "graze"/);
+});
+
+test("constraintChance gives the exact odds of an honest roll", () => {
+    const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+    close(constraintChance(evaluated("1d20 + 5"), { min: 16 }), 0.5);
+    close(constraintChance(evaluated("2d20kh"), { min: 11 }), 0.75);
+    close(constraintChance(evaluated("2d20kl"), { min: 11 }), 0.25);
+    close(constraintChance(evaluated("1d20r=1"), { max: 1 }), 1 / 400);
+    close(constraintChance(evaluated("{1d20,10}kh"), { max: 10 }), 0.5);
+    close(constraintChance(evaluated("1d20 + 3"), { natural: { min: 20, max: 20 } }), 0.05);
+    close(constraintChance(evaluated("2d20kh"), { natural: { min: 20, max: 20 } }), 39 / 400);
+    close(constraintChance(evaluated("{1d20,10}kh + 5"), { min: 16, natural: { min: 2, max: 19 } }), 0.45);
+});
+
+test("rollDistribution sums to one and declines formulas it cannot model", () => {
+    const dist = rollDistribution(evaluated("3d20r=1kh + 1d4 - 2"));
+    const sum = Array.from(dist.values()).reduce((t, p) => t + p, 0);
+    assert.ok(Math.abs(sum - 1) < 1e-9);
+    assert.equal(rollDistribution(evaluated("1d20 * 2")), null);
+});
+
+test("degreeConstraints reach each Pathfinder 2e degree of success", () => {
+    for (let degree = 0; degree < 4; degree++) {
+        for (let i = 0; i < 20; i++) {
+            const roll = evaluated("1d20 + 8");
+            assert.equal(fudgeToConstraints(roll, degreeConstraints(degree, 20)), true);
+            assert.equal(pf2eDegree(roll, 20), ["criticalFailure", "failure", "success", "criticalSuccess"][degree]);
+        }
+    }
+});
+
+test("pf2eDegree shifts the degree on a natural 20 or 1", () => {
+    assert.equal(pf2eDegree(fudgeTotal(evaluated("1d20 + 0"), 20), 25), "success");
+    assert.equal(pf2eDegree(fudgeTotal(evaluated("1d20 + 10"), 11), 5), "failure");
+    assert.equal(pf2eDegree(fudgeTotal(evaluated("1d20 + 10"), 11), 20), "criticalFailure");
+});
+
+test("contestPlan moves one side when it can and both when it must", () => {
+    for (let i = 0; i < 20; i++) {
+        const rolls = [evaluated("1d20 + 2"), evaluated("1d20 + 2")];
+        const plan = contestPlan(rolls, { min: 1, max: Infinity });
+        for (let { index, min, max } of plan) assert.equal(fudgeToConstraint(rolls[index], { min, max }), true);
+        assert.ok(rolls[0].total > rolls[1].total);
+    }
+    for (let i = 0; i < 20; i++) {
+        const rolls = [evaluated("1d20"), evaluated("1d20")];
+        const plan = contestPlan(rolls, { min: 15, max: Infinity });
+        for (let { index, min, max } of plan) assert.equal(fudgeToConstraint(rolls[index], { min, max }), true);
+        assert.ok(rolls[0].total - rolls[1].total >= 15);
+    }
+    assert.equal(contestPlan([evaluated("1d4"), evaluated("1d20 + 10")], { min: 1, max: Infinity }), null);
+});
@@ -0,0 +1,152 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { bard, evaluated, fighter, items, rogue, snapshot } from "./foundry.js";
+import {
+    abilitySaveParts, abilityTestParts, attackParts, d20Formula, deathSaveParts, skillCheckParts, toolCheckParts
+} from "../dnd5eFormulas.js";
+import { fudgeRange, fudgeToConstraint, fudgeToConstraints, fudgeTotal, outcomeConstraint } from "../rollMath.js";
+
+/**
+ * The formula a d20 roll type produces under each of advantage, a normal roll and disadvantage
+ */
+function d20Formulas({ parts, data, ...options }) {
+    return [1, 0, -1].map(adv => ({ formula: [d20Formula(adv, options)].concat(parts).join(" + "), data, options }));
+}
+
+/**
+ * The roll data an item's attack or tool check is evaluated with
+ */
+function itemData(actor, item, extra = {}) {
+    return { mod: actor.data.abilities[item.abilityMod].mod, prof: actor.data.attributes.prof, ...extra };
+}
+
+const attack = (actor, item) => {
+    const { parts, data, options } = attackParts(item.type, item.data, item.abilityMod, actor.data, actor.flags);
+    return d20Formulas({ parts, data: itemData(actor, item, data), ...options });
+};
+
+const rollTypes = {
+    skill: [
+        ...d20Formulas(skillCheckParts(rogue.data, "ste", rogue.flags)),
+        ...d20Formulas(skillCheckParts(rogue.data, "acr", rogue.flags)),
+        ...d20Formulas(skillCheckParts(bard.data, "ins", bard.flags))
+    ],
+    ability: [
+        ...d20Formulas(abilityTestParts(fighter.data, "str", fighter.flags)),
+        ...d20Formulas(abilityTestParts(bard.data, "cha", bard.flags)),
+        ...d20Formulas(abilityTestParts(rogue.data, "cha", rogue.flags))
+    ],
+    save: [
+        ...d20Formulas(abilitySaveParts(fighter.data, "con", fighter.flags)),
+        ...d20Formulas(abilitySaveParts(rogue.data, "dex", rogue.flags))
+    ],
+    attack: [
+        ...attack(rogue, items.longbow),
+        ...attack(fighter, items.greatsword),
+        ...attack(fighter, items.improvised),
+        ...attack(rogue, items.fireBolt)
+    ],
+    tool: d20Formulas({ ...toolCheckParts(items.thievesTools.data, rogue.flags), data: itemData(rogue, items.thievesTools) }),
+    death: [
+        ...d20Formulas(deathSaveParts(fighter.data, fighter.flags)),
+        ...d20Formulas(deathSaveParts(rogue.data, rogue.flags))
+    ],
+    initiative: [{ formula: "1d20 + @mod", data: { mod: 4 } }, { formula: "1d20 + @mod + 1d4", data: { mod: -1 } }],
+    damage: [
+        { formula: "1d8 + @mod", data: { mod: 4 } },
+        { formula: "2d6 + @mod + @dmg", data: { mod: 4, dmg: "2" } },
+        { formula: "4d6 + @mod + 2", data: { mod: 4 } },
+        { formula: "2d10", data: {} }
+    ],
+    hitDie: [{ formula: "1d10 + @abilities.con.mod", data: fighter.data }, { formula: "1d8 + @abilities.con.mod", data: bard.data }],
+    formula: [
+        { formula: "4d6kh3", data: {} },
+        { formula: "1d100", data: {} },
+        { formula: "3d6 - 1d4 + 2", data: {} }
+    ]
+};
+const d20Types = ["skill", "ability", "save", "attack", "tool", "death"];
+
+for (let [type, cases] of Object.entries(rollTypes)) {
+    test(`${type} rolls reach every reachable total`, () => {
+        for (let { formula, data } of cases) {
+            const { min, max } = fudgeRange(evaluated(formula, data));
+            assert.ok(max > min, `${formula} can be fudged`);
+            for (let total = min; total <= max; total++) {
+                const roll = evaluated(formula, data);
+                assert.equal(fudgeToConstraint(roll, { min: total, max: total }), true, `${formula} to ${total}`);
+                assert.equal(roll.total, total, `${formula} to ${total}`);
+            }
+        }
+    });
+
+    test(`${type} rolls refuse unreachable totals and are left as rolled`, () => {
+        for (let { formula, data } of cases) {
+            const roll = evaluated(formula, data);
+            const { min, max } = fudgeRange(roll);
+            const before = snapshot(roll);
+            assert.equal(fudgeToConstraint(roll, { min: max + 1 }), false, `${formula} above ${max}`);
+            assert.equal(fudgeToConstraint(roll, { max: min - 1 }), false, `${formula} below ${min}`);
+            assert.throws(() => fudgeTotal(roll, max + 1), /cannot total/);
+            assert.throws(() => fudgeTotal(roll, min - 1), /cannot total/);
+            assert.equal(snapshot(roll), before, formula);
+        }
+    });
+}
+
+for (let type of d20Types) {
+    test(`${type} rolls reach each outcome, or refuse those out of reach`, () => {
+        const outcomes = (type === "attack") ? ["hit", "miss", "critical", "fumble"] : ["success", "failure"];
+        for (let { formula, data, options } of rollTypes[type]) {
+            const critical = options.critical ?? 20;
+            for (let outcome of outcomes) {
+                for (let targetValue of [5, 15, 25, 35]) {
+                    const roll = evaluated(formula, data);
+                    const { min, max } = fudgeRange(roll);
+                    const constraint = outcomeConstraint(outcome, targetValue, critical, 1);
+                    const before = snapshot(roll);
+                    const met = fudgeToConstraints(roll, [constraint]);
+                    const label = `${formula} to a ${outcome} against ${targetValue}`;
+
+                    // Hits and misses must show a natural face short of a critical, which the rest of the roll builds on
+                    const reachable = {
+                        hit: (max - 20 + critical - 1) >= targetValue,
+                        miss: min < targetValue,
+                        success: max >= targetValue,
+                        failure: min < targetValue,
+                        critical: true,
+                        fumble: true
+                    }[outcome];
+                    if (!reachable) {
+                        assert.equal(met, false, label);
+                        assert.equal(snapshot(roll), before, label);
+                        continue;
+                    }
+                    assert.equal(met, true, label);
+                    if (constraint.min !== undefined) assert.ok(roll.total >= constraint.min, `${label} totals ${roll.total}`);
+                    if (constraint.max !== undefined) assert.ok(roll.total <= constraint.max, `${label} totals ${roll.total}`);
+                    if (constraint.natural) {
+                        const d20 = roll.dice[0].total;
+                        assert.ok((d20 >= constraint.natural.min) && (d20 <= constraint.natural.max), `${label} shows ${d20}`);
+                    }
+                }
+            }
+        }
+    });
+}
+
+test("reliable talent rolls fudge the natural face of the d20 inside their pool", () => {
+    for (let { formula, data } of d20Formulas(skillCheckParts(rogue.data, "ste", rogue.flags))) {
+        for (let [natural, min, max] of [[20, 31, 31], [1, 21, 21], [5, null, null], [15, 26, 26]]) {
+            const roll = evaluated(formula, data);
+            const constraint = { natural: { min: natural, max: natural }, ...(min && { min, max }) };
+            const label = `${formula} to a natural ${natural}`;
+            assert.equal(fudgeToConstraint(roll, constraint), true, label);
+            const d20 = roll.dice.find(d => d.faces === 20);
+            assert.equal(d20.total, natural, label);
+            assert.equal(roll.terms[0].total, Math.max(natural, 10), label);
+            if (min) assert.equal(roll.total, min, label);
+        }
+        assert.equal(fudgeToConstraint(evaluated(formula, data), { max: 20, natural: { min: 20, max: 20 } }), false, formula);
+    }
+});
@@ -0,0 +1,232 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { bard, evaluated, fighter, items, rogue } from "./foundry.js";
+import { addActor, Dialog, loadModule, User } from "./world.js";
+import { fudgeTotal } from "../rollMath.js";
+
+const api = await loadModule();
+const rogueActor = addActor("Rogue", rogue);
+const fighterActor = addActor("Fighter", fighter, {
+    items: [{ name: "Greatsword", type: "weapon", abilityMod: "str", system: items.greatsword.data }]
+});
+const greatsword = fighterActor.items.getName("Greatsword");
+
+test("d20Roll keeps the target of a fast-forwarded roll", async () => {
+    for (let total = 4; total <= 23; total++) {
+        const roll = await api.d20Roll({ parts: ["@mod"], data: { mod: 3 }, fastForward: true, target: total, chatMessage: false });
+        assert.equal(roll.total, total);
+    }
+    const natural = await api.d20Roll({ parts: ["@mod"], data: { mod: 3 }, fastForward: true, target: { natural: 20 } });
+    assert.equal(natural.dice[0].total, 20);
+});
+
+test("rollGroup fudges each actor's fast-forwarded roll to its own target", async () => {
+    for (let i = 0; i < 10; i++) {
+        const rolls = await api.rollGroup([rogueActor, fighterActor], "save", "dex", { targets: [18, 4] });
+        assert.deepEqual(rolls.map(r => r.total), [18, 4]);
+    }
+    const outcomes = await api.rollGroup([rogueActor, fighterActor], "skill", "ath", {
+        outcomes: ["success", "failure"], targetValue: 12, combine: true
+    });
+    assert.ok(outcomes[0].total >= 12);
+    assert.ok(outcomes[1].total < 12);
+});
+
+test("runPreset rolls each kind of preset to its target", async () => {
+    await api.savePreset("Rogue saves", "save", "dex", { actor: rogueActor, target: 25 });
+    await api.savePreset("Fighter misses", "attack", greatsword.id, { actor: fighterActor, outcome: "miss", targetValue: 15 });
+    const hit = await api.savePreset("Fighter hits hard", "damage", greatsword.id, { actor: fighterActor, target: 12 });
+    for (let i = 0; i < 10; i++) {
+        assert.equal((await api.runPreset("Rogue saves")).total, 25);
+        const miss = await api.runPreset("Fighter misses");
+        assert.ok((miss.total < 15) && (miss.dice[0].total < 19), `a miss of ${miss.total}`);
+        assert.equal((await api.runPreset(hit.id)).total, 12);
+    }
+
+    // A preset without an actor of its own rolls for the one it is given
+    await api.savePreset("Anyone saves", "save", "dex", { target: 10 });
+    assert.equal((await api.runPreset("Anyone saves", { actor: fighterActor })).total, 10);
+    assert.ok(api.fudgeLog({ actorName: "Rogue", type: "save" }).some(r => r.fudged === 25));
+});
+
+test("an attack chain keeps the targets of its damage and concentration save", async () => {
+    const caster = addActor("Bard", bard);
+    caster.system.attributes = { ...caster.system.attributes, ac: { value: 12 }, hp: { value: 40, max: 40, temp: 0 } };
+    game.user.targets = new Set([{ name: "Bard", actor: caster }]);
+    for (let [save, kept] of [[18, true], [4, false]]) {
+        caster.system.attributes.hp.value = 40;
+        caster.effects.set("concentrating", { id: "concentrating", statuses: new Set(["concentrating"]) });
+        const attack = await api.rollAttack(greatsword.id, {
+            actor: fighterActor, target: 15, fastForward: true, chain: { damage: 12, concentration: { target: save } }
+        });
+        assert.equal(attack.total, 15);
+        assert.equal(caster.system.attributes.hp.value, 28);
+        assert.equal(caster.effects.has("concentrating"), kept, `a save of ${save}`);
+        const card = game.messages.contents.pop().content;
+        assert.ok(card.includes(`Bard saves against DC 10 and ${kept ? "keeps" : "loses"} concentration`), card);
+    }
+    game.user.targets = new Set();
+});
+
+test("an armed fudge is applied by the rolling player's client before the roll is posted", async () => {
+    const gm = game.user;
+    const player = new User({ id: "player", name: "Player", isGM: false });
+    game.users.set(player.id, player);
+    const posted = [];
+    Hooks.on("createChatMessage", message => posted.push(message.rolls[0]?.total));
+    const stealth = () => new Roll("1d20 + @mod", { mod: 10 }).evaluate().toMessage({
+        speaker: ChatMessage.getSpeaker({ actor: rogueActor }),
+        "flags.dnd5e.roll": { type: "skill", skillId: "ste" }
+    });
+
+    const cancelled = await api.armFudge(rogueActor, "skill", "ste", { target: 11 });
+    await api.disarmFudge(cancelled.id);
+    await api.armFudge(rogueActor, "skill", "ste", { target: 20 });
+    game.user = player;
+    try {
+        const message = await stealth();
+        assert.equal(posted.pop(), 20);
+        assert.equal(Number(message.content), 20);
+        assert.deepEqual(rogueActor.getFlag("fudge-roll", "pendingFudges"), []);
+        const { event, data } = game.socket.sent.pop();
+        assert.equal(event, "module.fudge-roll");
+        assert.deepEqual([data.action, data.record.fudged, data.record.request], ["recordFudge", 20, "a total of 20"]);
+
+        // The fudge is spent, so the next roll is posted as rolled
+        await stealth();
+        assert.equal(game.socket.sent.length, 0);
+    }
+    finally {
+        game.user = gm;
+    }
+});
+
+test("an armed fudge leaves the rolls the module fudges itself alone", async () => {
+    const posted = [];
+    Hooks.on("createChatMessage", message => posted.push(message.rolls[0]?.total));
+    const armed = await api.armFudge(rogueActor, "skill", "ste", { target: 22 });
+    await window.fudgeRollLogQueue;
+    const logged = api.fudgeLog().length;
+    for (let target of [25, 12]) {
+        const roll = await api.rollSkill("ste", { actor: rogueActor, target, fastForward: true });
+        assert.equal(roll?.total ?? null, (target === 25) ? 25 : null, `a target of ${target}`);
+    }
+
+    // Group rolls posted one card per actor are left alone too
+    const rolls = await api.rollGroup([rogueActor, fighterActor], "skill", "ste", { targets: [24, 9] });
+    assert.deepEqual(rolls.map(r => r.total), [24, 9]);
+    assert.deepEqual(posted, [25, 24, 9]);
+    await window.fudgeRollLogQueue;
+    assert.deepEqual(api.fudgeLog().slice(logged).map(r => r.fudged), [25, 24, 9]);
+    assert.deepEqual(rogueActor.getFlag("fudge-roll", "pendingFudges").map(f => f.id), [armed.id]);
+    await api.disarmFudge(armed.id);
+});
+
+test("death saves cannot be armed, since dnd5e counts them from the honest roll", async () => {
+    assert.equal(await api.armFudge(rogueActor, "death", null, { outcome: "success", targetValue: 10 }), null);
+    assert.match(ui.notifications.messages.pop(), /Death saves cannot be armed/);
+    assert.deepEqual(rogueActor.getFlag("fudge-roll", "pendingFudges"), []);
+});
+
+test("karma nudges a player's roll before it is posted and remembers the faces on the actor", async () => {
+    const gm = game.user;
+    const player = game.users.get("player");
+    const posted = [];
+    Hooks.on("createChatMessage", message => posted.push(message.rolls[0]?.total));
+    const rollWithFace = (face, type = "skill") => fudgeTotal(evaluated("1d20 + @mod", { mod: 10 }), face + 10).toMessage({
+        speaker: ChatMessage.getSpeaker({ actor: rogueActor }),
+        "flags.dnd5e.roll": { type, skillId: "ste" }
+    });
+    await game.settings.set("fudge-roll", "karma", true);
+    rogueActor.hasPlayerOwner = true;
+    await rogueActor.setFlag("fudge-roll", "karmaHistory", [3, 2, 4, 2, 3]);
+    game.user = player;
+    try {
+        // The faces average 2.8 against a threshold of 7, so the face is raised by the maximum nudge of 3
+        await rollWithFace(5);
+        assert.equal(posted.pop(), 18);
+        assert.deepEqual(rogueActor.getFlag("fudge-roll", "karmaHistory"), [2, 4, 2, 3, 8]);
+        assert.equal(game.socket.sent.pop().data.record.request, "a karma nudge of +3");
+
+        // Death saves are posted as rolled, and a GM's rolls are never nudged
+        await rollWithFace(5, "death");
+        assert.equal(posted.pop(), 15);
+        game.user = gm;
+        await rollWithFace(5);
+        assert.equal(posted.pop(), 15);
+        assert.deepEqual(rogueActor.getFlag("fudge-roll", "karmaHistory"), [2, 4, 2, 3, 8]);
+    }
+    finally {
+        game.user = gm;
+        await game.settings.set("fudge-roll", "karma", false);
+    }
+});
+
+test("the fudge log filters by the roll types recorded and reveals them in words", async () => {
+    api.showFudgeLog();
+    const filter = Dialog.rendered.pop().data.content.match(/<select id="logType">(.*?)<\/select>/)[1];
+    const types = Array.from(filter.matchAll(/<option value="(\w*)">(.*?)<\/option>/g), m => `${m[1]}=${m[2]}`);
+    assert.deepEqual(types.sort(), ["=All", "attack=Attack Roll", "damage=Damage Roll", "roll=roll", "save=Saving Throw", "skill=Skill Check"]);
+
+    const record = api.fudgeLog({ actorName: "Rogue", type: "save" }).find(r => r.fudged === 25);
+    const message = await api.revealFudges([record]);
+    assert.equal(message.flavor, "Fudged Rolls Revealed");
+    assert.ok(message.content.includes(`Saving Throw (dex): rolled ${record.honest}, shown as 25`), message.content);
+    assert.equal((await api.revealFudges([])).content, "<p>No rolls were fudged.</p>");
+});
+
+test("dry runs build the formula without making a system roll or marking ammunition", async () => {
+    const archer = addActor("Archer", rogue, {
+        items: [
+            { id: "arrows", name: "Arrows", type: "consumable", data: {}, system: { quantity: 20, attackBonus: "2" } },
+            { name: "Longbow", type: "weapon", abilityMod: "dex", system: { ...items.longbow.data, consume: { type: "ammo", target: "arrows", amount: 1 } } }
+        ]
+    });
+    const longbow = archer.items.getName("Longbow");
+    const attack = await api.rollAttack(longbow.id, { actor: archer, dryRun: true });
+    assert.ok(attack.formula.endsWith("+ 2"), attack.formula);
+    assert.equal(longbow._ammo, undefined);
+
+    // Later dnd5e versions roll through the actor, whose roll methods fire hooks which a dry run must not
+    const systemRolls = [];
+    rogueActor.rollSkill = rogueActor.rollAbilitySave = (...args) => systemRolls.push(args);
+    CONFIG.Dice.D20Roll = class {};
+    globalThis.dnd5e = { dice: {} };
+    try {
+        assert.equal((await api.rollSkill("ste", { actor: rogueActor, dryRun: true, advantage: true })).formula, "{2d20r=1kh,10}kh + 10 + 1");
+        assert.equal((await api.rollSave("dex", { actor: rogueActor, dryRun: true })).formula, "1d20r=1 + 4 + 3");
+        assert.deepEqual(systemRolls, []);
+    }
+    finally {
+        delete CONFIG.Dice.D20Roll;
+        delete globalThis.dnd5e;
+        delete rogueActor.rollSkill;
+        delete rogueActor.rollAbilitySave;
+    }
+});
+
+test("a group roll leaves out an actor without the skill and still rolls for the rest", async () => {
+    const wolf = addActor("Wolf", bard);
+    delete wolf.system.skills.ste;
+    const rolls = await api.rollGroup([rogueActor, wolf, fighterActor], "skill", "ste", { targets: [22, 10, 8] });
+    assert.deepEqual(rolls.map(r => r?.total ?? null), [22, null, 8]);
+    assert.match(ui.notifications.messages.pop(), /^Wolf cannot roll .* and is left out of the group\.$/);
+});
+
+test("fudging a posted roll warns when damage is clamped and leaves a roll which already meets the fudge alone", async () => {
+    const message = await evaluated("2d6 + 4").toMessage({
+        speaker: ChatMessage.getSpeaker({ actor: fighterActor }),
+        "flags.dnd5e.roll": { type: "damage", itemId: greatsword.id }
+    });
+    assert.equal(await api.fudgePostedRoll(message, { target: 40 }), true);
+    assert.equal(message.rolls[0].total, 16);
+    assert.equal(ui.notifications.messages.pop(), "Damage of 40 is out of reach for 2d6 + 4, using 16 instead.");
+
+    await window.fudgeRollLogQueue;
+    const logged = api.fudgeLog().length;
+    let updates = 0;
+    message.update = async () => updates++;
+    assert.equal(await api.fudgePostedRoll(message, { target: 16 }), true);
+    await window.fudgeRollLogQueue;
+    assert.deepEqual([updates, api.fudgeLog().length], [0, logged]);
+});
@@ -0,0 +1,332 @@
+/**
+ * A stand-in for the parts of a running Foundry world which the fudge workflow touches, on top of the dice of foundry.js:
+ * hooks, settings, localization from the module's own lang file, users, actors, items, chat messages and journal entries.
+ * Importing it installs the globals, with the object helpers only under foundry.utils as on v12. The dnd5e system is
+ * modelled without its D20Roll class, so rolls take the legacy path which the module builds itself. Hooks wait for async
+ * handlers, so a test sees what a created message led to.
+ */
+
+import { readFileSync } from "node:fs";
+import "./foundry.js";
+
+const lang = JSON.parse(readFileSync(new URL("../lang/en.json", import.meta.url), "utf8"));
+
+export class Collection extends Map {
+    get contents() {
+        return Array.from(this.values());
+    }
+
+    find(fn) {
+        return this.contents.find(fn);
+    }
+
+    filter(fn) {
+        return this.contents.filter(fn);
+    }
+
+    some(fn) {
+        return this.contents.some(fn);
+    }
+
+    map(fn) {
+        return this.contents.map(fn);
+    }
+
+    getName(name) {
+        return this.find(d => d.name === name);
+    }
+}
+
+function getType(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "Array";
+    return (value?.constructor === Object) ? "Object" : typeof value;
+}
+
+function expandObject(obj) {
+    const expanded = {};
+    for (let [key, value] of Object.entries(obj)) {
+        setProperty(expanded, key, (getType(value) === "Object") ? expandObject(value) : value);
+    }
+    return expanded;
+}
+
+function mergeObject(original, other = {}, { inplace = true } = {}, depth = 0) {
+    if (!depth && !inplace) original = duplicate(original);
+    if (!depth && Object.keys(other).some(k => k.includes("."))) other = expandObject(other);
+    for (let [key, value] of Object.entries(other)) {
+        if ((getType(value) === "Object") && (getType(original[key]) === "Object")) mergeObject(original[key], value, {}, depth + 1);
+        else original[key] = value;
+    }
+    return original;
+}
+
+function getProperty(obj, key) {
+    return key.split(".").reduce((o, k) => o?.[k], obj);
+}
+
+function setProperty(obj, key, value) {
+    const parts = key.split(".");
+    const last = parts.pop();
+    const target = parts.reduce((o, k) => o[k] ??= {}, obj);
+    target[last] = value;
+    return true;
+}
+
+function duplicate(obj) {
+    return JSON.parse(JSON.stringify(obj));
+}
+
+function randomID(length = 16) {
+    return Array.fromRange(length).map(() => "abcdefghijklmnopqrstuvwxyz0123456789"[Math.floor(Math.random() * 36)]).join("");
+}
+
+Array.fromRange = n => Array.from({ length: n }, (_, i) => i);
+
+const hooks = {};
+
+globalThis.Hooks = {
+    on(name, fn) {
+        (hooks[name] ??= []).push(fn);
+    },
+    once(name, fn) {
+        this.on(name, fn);
+    },
+    call(name, ...args) {
+        return (hooks[name] ?? []).every(fn => fn(...args) !== false);
+    },
+    callAll(name, ...args) {
+        return Promise.all((hooks[name] ?? []).map(fn => fn(...args)));
+    }
+};
+
+/**
+ * A document with flags, which applies updates given with dotted keys
+ */
+class Document {
+    constructor(data = {}) {
+        Object.assign(this, { id: randomID(), flags: {} }, data);
+    }
+
+    getFlag(scope, key) {
+        return getProperty(this.flags, `${scope}.${key}`);
+    }
+
+    async setFlag(scope, key, value) {
+        return this.update({ [`flags.${scope}.${key}`]: value });
+    }
+
+    async unsetFlag(scope, key) {
+        delete this.flags[scope]?.[key];
+        return this;
+    }
+
+    async update(changes) {
+        return this.updateSource(changes);
+    }
+
+    updateSource(changes) {
+        for (let [key, value] of Object.entries(changes)) setProperty(this, key, value);
+        return this;
+    }
+}
+
+export class User extends Document {
+    constructor(data = {}) {
+        super({ name: "Gamemaster", isGM: true, active: true, character: null, targets: new Set(), ...data });
+    }
+}
+
+export class Item extends Document {
+    get hasAttack() {
+        return ["mwak", "rwak", "msak", "rsak"].includes(this.system.actionType);
+    }
+
+    get hasDamage() {
+        return !!this.system.damage?.parts?.length;
+    }
+
+    get labels() {
+        return { damageTypes: (this.system.damage?.parts ?? []).map(p => p[1]).join(", ") };
+    }
+
+    getRollData() {
+        const data = this.actor.getRollData();
+        return { ...data, item: duplicate(this.system), mod: data.abilities[this.abilityMod].mod, prof: data.attributes.prof };
+    }
+}
+
+export class Actor extends Document {
+    constructor({ items = [], effects = [], ...data } = {}) {
+        super({ type: "character", hasPlayerOwner: false, ...data });
+        this.items = new Collection();
+        for (let itemData of items) {
+            const item = new Item({ ...itemData, actor: this });
+            this.items.set(item.id, item);
+        }
+        this.effects = new Collection(effects.map(e => [e.id, e]));
+    }
+
+    getRollData() {
+        return duplicate(this.system);
+    }
+
+    async applyDamage(amount) {
+        const hp = this.system.attributes.hp;
+        const temp = Math.min(hp.temp || 0, amount);
+        hp.temp = (hp.temp || 0) - temp;
+        hp.value = Math.max(hp.value - (amount - temp), 0);
+        return this;
+    }
+
+    async deleteEmbeddedDocuments(type, ids) {
+        ids.forEach(id => this.effects.delete(id));
+    }
+}
+
+export class JournalEntry extends Document {
+    static async create(data) {
+        const entry = new this(data);
+        game.journal.set(entry.id, entry);
+        return entry;
+    }
+}
+
+export class ChatMessage extends Document {
+    constructor({ user = game.user.id, rolls = [], ...data } = {}) {
+        super({ content: "", speaker: {}, ...expandObject(data) });
+        this.userId = user;
+        this.rolls = rolls.map(r => (typeof r === "string") ? Roll.fromJSON(r) : r);
+        if (this.rolls.length && !this.content) this.content = `${this.rolls[0].total}`;
+    }
+
+    get user() {
+        return game.users.get(this.userId);
+    }
+
+    get isRoll() {
+        return this.rolls.length > 0;
+    }
+
+    updateSource({ rolls, ...changes }) {
+        if (rolls) this.rolls = rolls.map(r => (typeof r === "string") ? Roll.fromJSON(r) : r);
+        return super.updateSource(changes);
+    }
+
+    /**
+     * Create a message as Foundry would, letting preCreateChatMessage change or refuse it before it is posted
+     */
+    static async create(data, options = {}) {
+        const message = new this(data);
+        if (!Hooks.call("preCreateChatMessage", message, data, options, game.user.id)) return null;
+        game.messages.set(message.id, message);
+        await Hooks.callAll("createChatMessage", message, options, game.user.id);
+        return message;
+    }
+
+    static getSpeaker({ actor = null } = {}) {
+        return actor ? { actor: actor.id, alias: actor.name } : { actor: null, alias: game.user.name };
+    }
+
+    static getSpeakerActor(speaker) {
+        return game.actors.get(speaker?.actor) ?? null;
+    }
+
+    static applyRollMode(chatData, rollMode) {
+        chatData.whisper = (rollMode === "publicroll") ? [] : game.users.filter(u => u.isGM).map(u => u.id);
+        chatData.blind = (rollMode === "blindroll");
+        return chatData;
+    }
+}
+
+export class Dialog {
+    constructor(data) {
+        this.data = data;
+    }
+
+    render() {
+        Dialog.rendered.push(this);
+        return this;
+    }
+}
+Dialog.rendered = [];
+
+const settings = new Map();
+const gm = new User({ id: "gm" });
+
+Object.assign(game, {
+    user: gm,
+    users: new Collection([[gm.id, gm]]),
+    actors: new Collection(),
+    messages: new Collection(),
+    journal: new Collection(),
+    modules: new Map([["fudge-roll", { id: "fudge-roll" }]]),
+    settings: {
+        register(module, key, config) {
+            settings.set(`${module}.${key}`, { ...config, value: config.default });
+        },
+        get(module, key) {
+            if (!settings.has(`${module}.${key}`)) throw new Error(`${module}.${key} is not a registered setting`);
+            return settings.get(`${module}.${key}`).value;
+        },
+        async set(module, key, value) {
+            settings.get(`${module}.${key}`).value = value;
+            return value;
+        }
+    },
+    i18n: {
+        localize: key => lang[key] ?? key,
+        format: (key, data = {}) => (lang[key] ?? key).replace(/{(\w+)}/g, (match, name) => data[name] ?? match)
+    },
+    socket: {
+        sent: [],
+        emit(event, data) {
+            this.sent.push({ event, data });
+        },
+        on() {}
+    }
+});
+game.settings.register("core", "rollMode", { default: "publicroll" });
+
+Object.assign(CONFIG, {
+    Dice: { rollModes: { publicroll: "CHAT.RollPublic", gmroll: "CHAT.RollPrivate", blindroll: "CHAT.RollBlind", selfroll: "CHAT.RollSelf" } },
+    sounds: { dice: "sounds/dice.wav" }
+});
+Object.assign(globalThis, {
+    Actor, Item, User, ChatMessage, JournalEntry, Dialog, Collection,
+    foundry: { utils: { mergeObject, expandObject, getProperty, setProperty, duplicate, randomID } },
+    saveDataToFile: () => {},
+    CONST: { DOCUMENT_OWNERSHIP_LEVELS: { NONE: 0, LIMITED: 1, OBSERVER: 2, OWNER: 3 } },
+    ui: {
+        notifications: { messages: [], warn(m) { this.messages.push(m); }, info() {}, error(m) { this.messages.push(m); } },
+        controls: { initialize() {} }
+    },
+    canvas: { tokens: { controlled: [], placeables: [] } },
+    window: globalThis,
+    innerWidth: 1920
+});
+
+/**
+ * Add an actor built from one of the fixtures of foundry.js to the world
+ * @param {string} name             The actor's name
+ * @param {object} fixture          A fixture such as rogue, with its system data and dnd5e flags
+ * @param {object} data             Further actor data, such as items or effects
+ * @return {Actor}
+ */
+export function addActor(name, fixture, data = {}) {
+    const actor = new Actor({ name, system: duplicate(fixture.data), flags: { dnd5e: { ...fixture.flags } }, ...data });
+    game.actors.set(actor.id, actor);
+    return actor;
+}
+
+let module;
+
+/**
+ * Load the module and run its init and ready hooks, once for the whole test file
+ * @return {Promise<object>}        The module's api
+ */
+export async function loadModule() {
+    module ??= import("../fudgeRoll.js").then(() => Hooks.callAll("init")).then(() => Hooks.callAll("ready"));
+    await module;
+    return game.modules.get("fudge-roll").api;
+}